@@ -13,6 +13,129 @@ var DOMReady = function (callback) {
     }
 };
 
+// let other scripts know when the datatable has redrawn a page
+if (typeof DataTablesJS !== 'undefined') {
+    const renderPagination = DataTablesJS.prototype.renderPagination;
+    DataTablesJS.prototype.renderPagination = function (data) {
+        this.totalPages = parseInt(data.total_pages) || 1;
+        renderPagination.call(this, data);
+        document.dispatchEvent(new CustomEvent('datatables:rendered', { detail: { table: this, data: data } }));
+    };
+
+    // the table draws its checkboxes unchecked, so put the kept selection back on them
+    document.addEventListener('datatables:rendered', function (e) {
+        document.querySelectorAll('.datatables-tbody .row-checkbox').forEach(function (checkbox) {
+            checkbox.checked = e.detail.table.selectedIds.has(checkbox.value);
+        });
+    });
+
+    // on pages with a bulk progress bar, send bulk actions in batches and get a result for each id back
+    const performBulkAction = DataTablesJS.prototype.performBulkAction;
+    DataTablesJS.prototype.performBulkAction = async function (action, selectedIds) {
+        const progress = document.querySelector('.bulk-progress');
+        if (!progress) return performBulkAction.call(this, action, selectedIds);
+
+        const batchSize = 25;
+        const bar = progress.querySelector('progress');
+        const text = progress.querySelector('.bulk-progress-text');
+        const failed = [];
+        // one id for every batch, so the journal keeps the whole operation as one undo
+        const operation = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+        let done = 0;
+        let message = '';
+
+        bar.value = 0;
+        progress.hidden = selectedIds.length <= batchSize;
+
+        for (let i = 0; i < selectedIds.length; i += batchSize) {
+            const batch = selectedIds.slice(i, i + batchSize);
+            const formData = new FormData();
+            formData.append('action', 'bulk_action');
+            formData.append('bulk_action', action);
+            formData.append('selected_ids', JSON.stringify(batch));
+            formData.append('per_id', '1');
+            formData.append('journal_op', operation);
+
+            try {
+                const response = await fetch(window.location.href, { method: 'POST', body: formData });
+                const data = await response.json();
+                message = data.message || message;
+                batch.forEach(function (id) {
+                    if (!(data.data && data.data.results && data.data.results[id])) failed.push(String(id));
+                });
+            } catch (error) {
+                console.error('Error running the bulk action:', error);
+                batch.forEach(id => failed.push(String(id)));
+            }
+
+            done += batch.length;
+            bar.value = Math.round(100 * done / selectedIds.length);
+            text.textContent = done + ' of ' + selectedIds.length + (failed.length ? ', ' + failed.length + ' failed' : '');
+        }
+
+        progress.hidden = true;
+
+        // keep just the rows that failed selected, so they can be looked at or tried again
+        this.selectedIds = new Set(failed);
+        const selectAll = document.querySelector('.datatables-select-all');
+        if (selectAll) selectAll.checked = false;
+        const bulkSelect = document.querySelector('.datatables-bulk-action');
+        if (bulkSelect) bulkSelect.value = '';
+        this.updateBulkActionButtons();
+        this.loadData();
+
+        if (!failed.length) {
+            UIkit.notification({ message: message || 'Bulk action completed', status: 'success', pos: 'top-center', timeout: 3000 });
+            return;
+        }
+
+        const names = failed.slice(0, 10).map(function (id) {
+            const row = window.DataTablesRowData ? window.DataTablesRowData[id] : null;
+            return row && row.s_name ? row.s_name : '#' + id;
+        });
+        const list = document.createElement('div');
+        list.textContent = names.join(', ') + (failed.length > names.length ? ' and ' + (failed.length - names.length) + ' more' : '');
+        UIkit.notification({
+            message: (selectedIds.length - failed.length) + ' of ' + selectedIds.length + ' done, ' + failed.length + ' failed (still selected): ' + list.innerHTML,
+            status: 'warning',
+            pos: 'top-center',
+            timeout: 10000
+        });
+    };
+}
+
+// highlight the row of whatever the player is playing, player events are documented in video.js
+if (typeof MultiFormatPlayer !== 'undefined') {
+    let playingStreamId = null;
+
+    const markPlayingRow = function () {
+        document.querySelectorAll('tr.stream-playing').forEach(function (row) {
+            row.classList.remove('stream-playing');
+        });
+        if (playingStreamId !== null) {
+            const row = document.querySelector('tr[data-id="' + CSS.escape(String(playingStreamId)) + '"]');
+            if (row) row.classList.add('stream-playing');
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', function () {
+        if (typeof multiPlayer === 'undefined' || !multiPlayer) return;
+
+        multiPlayer.addEventListener('playing', function (e) {
+            playingStreamId = e.detail.streamId;
+            markPlayingRow();
+        });
+        ['stopped', 'failed'].forEach(function (type) {
+            multiPlayer.addEventListener(type, function () {
+                playingStreamId = null;
+                markPlayingRow();
+            });
+        });
+    });
+
+    document.addEventListener('datatables:rendered', markPlayingRow);
+}
+
 // DOM ready event
 DOMReady(function () {
     console.debug('DOM is ready. All libraries are loaded.');
@@ -158,55 +281,6 @@ function MyInit() {
         }
     });
 
-    // Add this with your other event listeners in the MyInit function
-    document.querySelectorAll('.activate-streams').forEach(button => {
-        button.addEventListener('click', function (e) {
-            e.preventDefault();
-
-            const checkedBoxes = document.querySelectorAll('.record-checkbox:checked');
-            if (checkedBoxes.length === 0) {
-                alert('Please select at least one stream to activate.');
-                return;
-            }
-
-            if (!confirm(`Activate ${checkedBoxes.length} selected stream(s)?`)) return;
-
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = '';
-
-            const actionInput = document.createElement('input');
-            actionInput.type = 'hidden';
-            actionInput.name = 'form_action';
-            actionInput.value = 'activate-streams';
-            form.appendChild(actionInput);
-
-            const urlParams = new URLSearchParams(window.location.search);
-            const sortInput = document.createElement('input');
-            sortInput.type = 'hidden';
-            sortInput.name = 'sort';
-            sortInput.value = urlParams.get('sort') || 'sp_priority';
-            form.appendChild(sortInput);
-
-            const dirInput = document.createElement('input');
-            dirInput.type = 'hidden';
-            dirInput.name = 'dir';
-            dirInput.value = urlParams.get('dir') || 'asc';
-            form.appendChild(dirInput);
-
-            checkedBoxes.forEach(checkbox => {
-                const input = document.createElement('input');
-                input.type = 'hidden';
-                input.name = 'ids[]';
-                input.value = checkbox.value;
-                form.appendChild(input);
-            });
-
-            document.body.appendChild(form);
-            form.submit();
-        });
-    });
-
     // Row selection functionality
     const tableRows = document.querySelectorAll('tbody tr');
     tableRows.forEach(row => {
@@ -280,127 +354,6 @@ function MyInit() {
     updateSelectAllCheckboxes();
     updateDeleteButtonState();
 
-    // Delete selected items
-    document.querySelectorAll('.delete-selected').forEach(button => {
-        button.addEventListener('click', function () {
-            const checkedBoxes = document.querySelectorAll('.record-checkbox:checked');
-            if (checkedBoxes.length === 0) {
-                alert('Please select at least one item to delete.');
-                return;
-            }
-
-            if (!confirm(`Delete ${checkedBoxes.length} selected item(s)?`)) return;
-
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = '';
-
-            const actionInput = document.createElement('input');
-            actionInput.type = 'hidden';
-            actionInput.name = 'form_action';
-            actionInput.value = 'delete-multiple';
-            form.appendChild(actionInput);
-
-            const urlParams = new URLSearchParams(window.location.search);
-            const sortInput = document.createElement('input');
-            sortInput.type = 'hidden';
-            sortInput.name = 'sort';
-            sortInput.value = urlParams.get('sort') || 'sp_priority';
-            form.appendChild(sortInput);
-
-            const dirInput = document.createElement('input');
-            dirInput.type = 'hidden';
-            dirInput.name = 'dir';
-            dirInput.value = urlParams.get('dir') || 'asc';
-            form.appendChild(dirInput);
-
-            checkedBoxes.forEach(checkbox => {
-                const input = document.createElement('input');
-                input.type = 'hidden';
-                input.name = 'ids[]';
-                input.value = checkbox.value;
-                form.appendChild(input);
-            });
-
-            document.body.appendChild(form);
-            form.submit();
-        });
-    });
-
-    // move streams handler
-    document.querySelectorAll('.move-to-live, .move-to-series, .move-to-other').forEach(button => {
-        button.addEventListener('click', function (e) {
-            e.preventDefault();
-
-            // Determine if this is a single item move or bulk move
-            const isSingleMove = this.classList.contains('single-move');
-            let checkedBoxes;
-            let streamId;
-
-            if (isSingleMove) {
-                // For single item move, get the checkbox from the same row
-                const row = this.closest('tr');
-                streamId = row.querySelector('.record-checkbox').value;
-                if (!streamId) return;
-            } else {
-                // For bulk move, get all checked checkboxes
-                checkedBoxes = document.querySelectorAll('.record-checkbox:checked');
-                if (checkedBoxes.length === 0) {
-                    alert('Please select at least one item to move.');
-                    return;
-                }
-            }
-
-            const destination = this.classList.contains('move-to-live') ? 'live' :
-                this.classList.contains('move-to-series') ? 'series' : 'other';
-
-            const itemCount = isSingleMove ? 1 : checkedBoxes.length;
-            if (!confirm(`Move ${itemCount} item(s) to ${destination}?`)) return;
-
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = '';
-
-            const actionInput = document.createElement('input');
-            actionInput.type = 'hidden';
-            actionInput.name = 'form_action';
-            actionInput.value = 'move-to-' + destination;
-            form.appendChild(actionInput);
-
-            const urlParams = new URLSearchParams(window.location.search);
-            const sortInput = document.createElement('input');
-            sortInput.type = 'hidden';
-            sortInput.name = 'sort';
-            sortInput.value = urlParams.get('sort') || 'sp_priority';
-            form.appendChild(sortInput);
-
-            const dirInput = document.createElement('input');
-            dirInput.type = 'hidden';
-            dirInput.name = 'dir';
-            dirInput.value = urlParams.get('dir') || 'asc';
-            form.appendChild(dirInput);
-
-            if (isSingleMove) {
-                const input = document.createElement('input');
-                input.type = 'hidden';
-                input.name = 'ids[]';
-                input.value = streamId;
-                form.appendChild(input);
-            } else {
-                checkedBoxes.forEach(checkbox => {
-                    const input = document.createElement('input');
-                    input.type = 'hidden';
-                    input.name = 'ids[]';
-                    input.value = checkbox.value;
-                    form.appendChild(input);
-                });
-            }
-
-            document.body.appendChild(form);
-            form.submit();
-        });
-    });
-
     function revertCell(cell, originalValue) {
         cell.textContent = originalValue;
         cell.classList.add('stream-name');
@@ -615,5 +568,567 @@ function MyInit() {
 
     // Video player functionality
 
+    // Undo, redo and the recent changes drawer
+    const journalDrawer = document.getElementById('journal_drawer');
+    if (journalDrawer) {
+        const journalList = journalDrawer.querySelector('.journal-list');
+
+        const loadJournal = function () {
+            fetch('/journal', { headers: { 'Accept': 'application/json' } })
+                .then(response => response.json())
+                .then(data => {
+                    journalList.innerHTML = '';
+                    if (!data.success || !data.data.length) {
+                        const empty = document.createElement('li');
+                        empty.className = 'uk-text-muted';
+                        empty.textContent = 'No changes yet.';
+                        journalList.appendChild(empty);
+                        return;
+                    }
+                    data.data.forEach(function (entry) {
+                        const item = document.createElement('li');
+                        const summary = document.createElement('div');
+                        summary.textContent = entry.summary;
+                        if (entry.undone) summary.classList.add('uk-text-muted');
+
+                        const when = document.createElement('div');
+                        when.className = 'uk-text-meta';
+                        when.textContent = entry.created + (entry.undone ? ' (undone)' : '');
+
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.className = 'uk-button uk-button-small uk-button-default uk-margin-small-top ' + (entry.undone ? 'journal-redo' : 'journal-undo');
+                        button.dataset.id = entry.id;
+                        button.textContent = entry.undone ? 'Redo' : 'Undo';
+
+                        item.append(summary, when, button);
+                        journalList.appendChild(item);
+                    });
+                })
+                .catch(error => {
+                    console.error('Error loading the recent changes:', error);
+                });
+        };
+
+        const applyJournal = function (which, id) {
+            fetch('/journal/' + which, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(id ? { id: id } : {})
+            })
+                .then(response => response.json())
+                .then(data => {
+                    UIkit.notification({
+                        message: data.message,
+                        status: data.success ? 'success' : 'warning',
+                        pos: 'top-center',
+                        timeout: 3000
+                    });
+                    if (!data.success) return;
+                    if (window.DataTables) window.DataTables.loadData();
+                    if (journalDrawer.classList.contains('uk-open')) loadJournal();
+                })
+                .catch(error => {
+                    console.error('Error applying the change:', error);
+                    UIkit.notification({
+                        message: which === 'undo' ? 'The change could not be undone.' : 'The change could not be redone.',
+                        status: 'danger',
+                        pos: 'top-center',
+                        timeout: 5000
+                    });
+                });
+        };
+
+        UIkit.util.on(journalDrawer, 'beforeshow', loadJournal);
+
+        journalList.addEventListener('click', function (e) {
+            const button = e.target.closest('.journal-undo, .journal-redo');
+            if (!button) return;
+            applyJournal(button.classList.contains('journal-undo') ? 'undo' : 'redo', button.dataset.id);
+        });
+
+        // Ctrl+Z to undo, Ctrl+Shift+Z to redo, leaving text fields their own undo
+        document.addEventListener('keydown', function (e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+            const target = e.target;
+            if (target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+            e.preventDefault();
+            applyJournal(e.shiftKey ? 'redo' : 'undo');
+        });
+    }
+
+    // Bulk rename, previewed on the server so the preview is exactly what gets saved
+    const renameModal = document.getElementById('rename_modal');
+    if (renameModal) {
+        const renameForm = renameModal.querySelector('.rename-form');
+        const renameStatus = renameModal.querySelector('.rename-status');
+        const renameBody = renameModal.querySelector('.rename-preview tbody');
+        const renameApply = renameModal.querySelector('.rename-apply');
+        let renameIds = [];
+        let renameTimer = null;
+        let renameRequest = 0;
+
+        const renameRules = function () {
+            const rules = {};
+            renameForm.querySelectorAll('[name]').forEach(function (field) {
+                rules[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+            });
+            return rules;
+        };
+
+        const hasRules = function (rules) {
+            return rules.strip_tags || rules.case !== '' || rules.source !== 's_name' ||
+                ['find', 'add_prefix', 'strip_prefix', 'add_suffix', 'strip_suffix'].some(function (key) { return rules[key] !== ''; });
+        };
+
+        // wrap whatever differs between the two names, after their shared start and end
+        const diffCell = function (text, other, className) {
+            let start = 0;
+            while (start < text.length && start < other.length && text[start] === other[start]) start++;
+            let end = 0;
+            while (end < text.length - start && end < other.length - start && text[text.length - 1 - end] === other[other.length - 1 - end]) end++;
+
+            const cell = document.createElement('td');
+            cell.append(text.slice(0, start));
+            if (text.length - end > start) {
+                const mark = document.createElement('mark');
+                mark.className = className;
+                mark.textContent = text.slice(start, text.length - end);
+                cell.appendChild(mark);
+            }
+            cell.append(text.slice(text.length - end));
+            return cell;
+        };
+
+        const postRename = function (url) {
+            return fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ ids: renameIds, rules: renameRules() })
+            }).then(response => response.json());
+        };
+
+        const previewRename = function () {
+            const request = ++renameRequest;
+            renameApply.disabled = true;
+            renameBody.innerHTML = '';
+
+            if (!renameIds.length) {
+                renameStatus.textContent = 'There are no streams to rename.';
+                return;
+            }
+            if (!hasRules(renameRules())) {
+                renameStatus.textContent = renameIds.length + ' stream(s), set a rule to see the new names.';
+                return;
+            }
+
+            renameStatus.textContent = 'Working out the new names...';
+            postRename('/rename/preview')
+                .then(data => {
+                    if (request !== renameRequest) return;
+                    if (!data.success) {
+                        renameStatus.textContent = data.message;
+                        return;
+                    }
+                    renameStatus.textContent = data.data.changes.length + ' of ' + data.data.total + ' stream(s) would be renamed.';
+                    data.data.changes.forEach(function (change) {
+                        const row = document.createElement('tr');
+                        row.append(diffCell(change.old, change.new, 'rename-del'), diffCell(change.new, change.old, 'rename-add'));
+                        renameBody.appendChild(row);
+                    });
+                    renameApply.disabled = !data.data.changes.length;
+                })
+                .catch(error => {
+                    console.error('Error previewing the rename:', error);
+                    renameStatus.textContent = 'The preview could not be loaded.';
+                });
+        };
+
+        // the checked rows, or every row the table's search matches
+        const loadRenameIds = function () {
+            const table = window.DataTables;
+            renameIds = [];
+            if (!table) return Promise.resolve();
+
+            if (renameForm.elements.scope.value === 'selected') {
+                renameIds = Array.from(table.selectedIds);
+                return Promise.resolve();
+            }
+
+            const params = new URLSearchParams({ action: 'fetch_data', table: table.tableName, page: 1, per_page: 0, search: table.search });
+            return fetch('?' + params.toString())
+                .then(response => response.json())
+                .then(data => {
+                    renameIds = data.success ? data.data.map(row => row['s.id'] ?? row.id) : [];
+                });
+        };
+
+        UIkit.util.on(renameModal, 'beforeshow', function () {
+            const table = window.DataTables;
+            renameForm.elements.scope.value = table && table.selectedIds.size ? 'selected' : 'search';
+            loadRenameIds().then(previewRename);
+        });
+
+        renameForm.addEventListener('input', function (e) {
+            clearTimeout(renameTimer);
+            if (e.target.name === 'scope') {
+                loadRenameIds().then(previewRename);
+                return;
+            }
+            renameTimer = setTimeout(previewRename, 400);
+        });
+
+        renameForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+        });
+
+        renameApply.addEventListener('click', function () {
+            renameApply.disabled = true;
+            postRename('/rename')
+                .then(data => {
+                    UIkit.notification({
+                        message: data.message,
+                        status: data.success ? 'success' : 'warning',
+                        pos: 'top-center',
+                        timeout: 3000
+                    });
+                    if (!data.success) {
+                        renameApply.disabled = false;
+                        return;
+                    }
+                    UIkit.modal(renameModal).hide();
+                    if (window.DataTables) window.DataTables.loadData();
+                })
+                .catch(error => {
+                    console.error('Error renaming the streams:', error);
+                    renameApply.disabled = false;
+                    UIkit.notification({
+                        message: 'The streams could not be renamed.',
+                        status: 'danger',
+                        pos: 'top-center',
+                        timeout: 5000
+                    });
+                });
+        });
+    }
+
+    // Renumber the selected channels from a start value and step
+    const renumberModal = document.getElementById('renumber_modal');
+    if (renumberModal) {
+        const renumberForm = renumberModal.querySelector('.renumber-form');
+        const renumberStatus = renumberModal.querySelector('.renumber-status');
+        const renumberBody = renumberModal.querySelector('.renumber-preview tbody');
+        const renumberApply = renumberModal.querySelector('.renumber-apply');
+        let renumberTimer = null;
+        let renumberRequest = 0;
+
+        const postRenumber = function (url) {
+            return fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({
+                    ids: window.DataTables ? Array.from(window.DataTables.selectedIds) : [],
+                    start: renumberForm.elements.start.value,
+                    step: renumberForm.elements.step.value,
+                    order: renumberForm.elements.order.value
+                })
+            }).then(response => response.json());
+        };
+
+        const previewRenumber = function () {
+            const request = ++renumberRequest;
+            renumberApply.disabled = true;
+            renumberBody.innerHTML = '';
+            renumberStatus.textContent = 'Working out the new numbers...';
+
+            postRenumber('/renumber/preview')
+                .then(data => {
+                    if (request !== renumberRequest) return;
+                    if (!data.success) {
+                        renumberStatus.textContent = data.message;
+                        return;
+                    }
+                    renumberStatus.textContent = data.data.streams.length + ' stream(s), ' +
+                        (data.data.collisions ? data.data.collisions + ' number(s) already used by other active streams.' : 'no collisions with other active streams.');
+                    data.data.streams.forEach(function (stream) {
+                        const row = document.createElement('tr');
+                        if (stream.collisions.length) row.className = 'renumber-collision';
+                        [stream.name, stream.old, stream.new, stream.collisions.join(', ')].forEach(function (text) {
+                            const cell = document.createElement('td');
+                            cell.textContent = text;
+                            row.appendChild(cell);
+                        });
+                        renumberBody.appendChild(row);
+                    });
+                    renumberApply.disabled = !data.data.streams.length;
+                })
+                .catch(error => {
+                    console.error('Error previewing the renumber:', error);
+                    renumberStatus.textContent = 'The preview could not be loaded.';
+                });
+        };
+
+        UIkit.util.on(renumberModal, 'beforeshow', previewRenumber);
+
+        renumberForm.addEventListener('input', function () {
+            clearTimeout(renumberTimer);
+            renumberTimer = setTimeout(previewRenumber, 400);
+        });
+
+        renumberForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+        });
+
+        renumberApply.addEventListener('click', function () {
+            renumberApply.disabled = true;
+            postRenumber('/renumber')
+                .then(data => {
+                    UIkit.notification({
+                        message: data.message,
+                        status: data.success ? 'success' : 'warning',
+                        pos: 'top-center',
+                        timeout: 3000
+                    });
+                    if (!data.success) {
+                        renumberApply.disabled = false;
+                        return;
+                    }
+                    UIkit.modal(renumberModal).hide();
+                    if (window.DataTables) window.DataTables.loadData();
+                })
+                .catch(error => {
+                    console.error('Error renumbering the streams:', error);
+                    renumberApply.disabled = false;
+                    UIkit.notification({
+                        message: 'The streams could not be renumbered.',
+                        status: 'danger',
+                        pos: 'top-center',
+                        timeout: 5000
+                    });
+                });
+        });
+    }
+
+    // Keyboard navigation and shift-click ranges for the data tables, ? shows the keys
+    if (document.querySelector('.datatables-tbody')) {
+        let cursorIndex = -1;
+        let anchorIndex = -1;
+
+        const tableRows = function () {
+            return Array.from(document.querySelectorAll('.datatables-tbody tr[data-id]'));
+        };
+
+        const setRowSelected = function (row, selected) {
+            const checkbox = row.querySelector('.row-checkbox');
+            if (!checkbox || checkbox.checked === selected || !window.DataTables) return;
+            checkbox.checked = selected;
+            window.DataTables.toggleRowSelection(checkbox);
+        };
+
+        // select every row between the anchor and the given row
+        const selectRange = function (rows, toIndex) {
+            if (anchorIndex < 0 || anchorIndex >= rows.length) anchorIndex = toIndex;
+            const from = Math.min(anchorIndex, toIndex);
+            const to = Math.max(anchorIndex, toIndex);
+            rows.forEach(function (row, i) {
+                if (i >= from && i <= to) setRowSelected(row, true);
+            });
+        };
+
+        const markCursor = function (rows) {
+            rows.forEach(function (row, i) {
+                row.classList.toggle('row-cursor', i === cursorIndex);
+            });
+        };
+
+        const moveCursor = function (index, extend) {
+            const rows = tableRows();
+            if (!rows.length) return;
+            cursorIndex = Math.max(0, Math.min(rows.length - 1, index));
+            markCursor(rows);
+            rows[cursorIndex].scrollIntoView({ block: 'nearest' });
+            if (extend) {
+                selectRange(rows, cursorIndex);
+            } else {
+                anchorIndex = cursorIndex;
+            }
+        };
+
+        const editCell = function (row, field) {
+            const cell = row.querySelector(field ? '.inline-editable[data-field="' + field + '"]' : '.inline-editable[data-field$="_name"]');
+            if (cell && window.DataTables) window.DataTables.startInlineEdit(cell);
+        };
+
+        const showShortcuts = function () {
+            UIkit.modal.dialog(
+                '<div class="uk-modal-body"><h3>Keyboard Shortcuts</h3>' +
+                '<table class="uk-table uk-table-small uk-table-divider">' +
+                '<tr><td><kbd>j</kbd> / <kbd>&darr;</kbd></td><td>Next row</td></tr>' +
+                '<tr><td><kbd>k</kbd> / <kbd>&uarr;</kbd></td><td>Previous row</td></tr>' +
+                '<tr><td><kbd>Shift</kbd> + <kbd>j</kbd> <kbd>k</kbd> <kbd>&darr;</kbd> <kbd>&uarr;</kbd></td><td>Extend the selection</td></tr>' +
+                '<tr><td><kbd>Shift</kbd> + Click</td><td>Select a range of rows</td></tr>' +
+                '<tr><td><kbd>Space</kbd></td><td>Select or unselect the row</td></tr>' +
+                '<tr><td><kbd>Enter</kbd> / <kbd>e</kbd></td><td>Edit the name</td></tr>' +
+                '<tr><td><kbd>c</kbd></td><td>Edit the channel</td></tr>' +
+                '<tr><td><kbd>p</kbd></td><td>Play the row</td></tr>' +
+                '<tr><td><kbd>Ctrl</kbd> + <kbd>z</kbd> / <kbd>Ctrl</kbd> + <kbd>Shift</kbd> + <kbd>z</kbd></td><td>Undo / redo</td></tr>' +
+                '<tr><td><kbd>Esc</kbd></td><td>Leave the table</td></tr>' +
+                '<tr><td><kbd>?</kbd></td><td>This list</td></tr>' +
+                '</table></div>'
+            );
+        };
+
+        // keep the cursor on the same spot when the table redraws
+        document.addEventListener('datatables:rendered', function () {
+            if (cursorIndex >= 0) moveCursor(cursorIndex, false);
+        });
+
+        // a plain click sets the anchor, a shift click selects back to it
+        document.addEventListener('click', function (e) {
+            const row = e.target.closest('.datatables-tbody tr[data-id]');
+            if (!row || e.target.closest('a, button, input:not(.row-checkbox), select, .row-action, .inline-editable')) return;
+            const rows = tableRows();
+            const index = rows.indexOf(row);
+            cursorIndex = index;
+            markCursor(rows);
+            if (e.shiftKey && anchorIndex >= 0) {
+                window.getSelection().removeAllRanges();
+                selectRange(rows, index);
+                setRowSelected(row, true);
+            } else {
+                anchorIndex = index;
+            }
+        });
+
+        document.addEventListener('keydown', function (e) {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+            if (document.querySelector('.uk-modal.uk-open, .uk-offcanvas.uk-open')) return;
+
+            if (e.key === '?') {
+                e.preventDefault();
+                showShortcuts();
+                return;
+            }
+
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+            if (key === 'j' || key === 'ArrowDown') {
+                e.preventDefault();
+                moveCursor(cursorIndex + 1, e.shiftKey);
+                return;
+            }
+            if (key === 'k' || key === 'ArrowUp') {
+                e.preventDefault();
+                moveCursor(cursorIndex < 0 ? 0 : cursorIndex - 1, e.shiftKey);
+                return;
+            }
+
+            // Space and Enter belong to a focused link or button, not the row
+            if ((key === ' ' || key === 'Enter') && e.target.closest && e.target.closest('a, button, [role="button"]')) return;
+
+            // the rest need a row under the cursor
+            const row = tableRows()[cursorIndex];
+            if (!row) return;
+
+            if (key === ' ') {
+                e.preventDefault();
+                const checkbox = row.querySelector('.row-checkbox');
+                if (checkbox) setRowSelected(row, !checkbox.checked);
+                anchorIndex = cursorIndex;
+            } else if (key === 'Enter' || key === 'e') {
+                e.preventDefault();
+                editCell(row, null);
+            } else if (key === 'c') {
+                e.preventDefault();
+                editCell(row, 's_channel');
+            } else if (key === 'p') {
+                const play = row.querySelector('.play-stream');
+                if (!play) return;
+                e.preventDefault();
+                play.click();
+            } else if (key === 'Escape') {
+                row.classList.remove('row-cursor');
+                cursorIndex = -1;
+            }
+        });
+    }
+
+    // Drag rows into order while the table is sorted by one of these numeric columns, the rows swap numbers between them
+    const reorderColumns = { s_channel: 'streams', sp_priority: 'providers' };
+    let draggedRow = null;
+    let dragStartOrder = '';
+
+    const rowOrder = function (tbody) {
+        return Array.from(tbody.querySelectorAll('tr[data-id]')).map(row => row.dataset.id);
+    };
+
+    const reorderColumn = function () {
+        const table = window.DataTables;
+        return table && reorderColumns[table.sortColumn] ? table.sortColumn : null;
+    };
+
+    document.addEventListener('datatables:rendered', function () {
+        const draggable = reorderColumn() !== null;
+        document.querySelectorAll('.datatables-tbody tr[data-id]').forEach(function (row) {
+            row.draggable = draggable;
+        });
+    });
+
+    document.addEventListener('dragstart', function (e) {
+        const row = e.target.closest && e.target.closest('.datatables-tbody tr[draggable="true"]');
+        if (!row) return;
+        draggedRow = row;
+        dragStartOrder = rowOrder(row.parentNode).join(',');
+        row.classList.add('row-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.id);
+    });
+
+    document.addEventListener('dragover', function (e) {
+        if (!draggedRow) return;
+        const row = e.target.closest('.datatables-tbody tr[data-id]');
+        if (!row || row === draggedRow || row.parentNode !== draggedRow.parentNode) return;
+        e.preventDefault();
+        const box = row.getBoundingClientRect();
+        row.parentNode.insertBefore(draggedRow, e.clientY > box.top + box.height / 2 ? row.nextSibling : row);
+    });
+
+    document.addEventListener('drop', function (e) {
+        if (!draggedRow) return;
+        e.preventDefault();
+    });
+
+    document.addEventListener('dragend', function () {
+        if (!draggedRow) return;
+        const table = window.DataTables;
+        const column = reorderColumn();
+        const ids = rowOrder(draggedRow.parentNode);
+        draggedRow.classList.remove('row-dragging');
+        draggedRow = null;
+        if (!column || ids.join(',') === dragStartOrder) return;
+
+        fetch('/reorder', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ table: reorderColumns[column], column: column, direction: table.sortDirection, ids: ids })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    UIkit.notification({
+                        message: data.message,
+                        status: 'warning',
+                        pos: 'top-center',
+                        timeout: 3000
+                    });
+                }
+                table.loadData();
+            })
+            .catch(error => {
+                console.error('Error saving the new order:', error);
+                table.loadData();
+            });
+    });
+
 
 }
@@ -1,20 +1,87 @@
 /**
  * Multi-Format Video Player with Fallback Support - FIXED VERSION
  * Supports: HLS (.m3u8), MPEG-TS (.ts), MP4, WebM, and other HTML5 video formats
+ * 
+ * Emits CustomEvents page code can listen for with multiPlayer.addEventListener():
+ * attempt, engine-selected, playing, stalled, failed, stopped and track-changed.
+ * Each event.detail has { streamId, url, engine, streamType } plus its own extras.
  */
 
-class MultiFormatPlayer {
+class MultiFormatPlayer extends EventTarget {
+    static engines = []; // Registered playback engines, see registerEngine()
+    static engineMemoryKey = 'kptv_engine_memory';
+    static proxyMemoryKey = 'kptv_proxy_memory';
+    static blockedLoadDetails = ['manifestLoadError', 'levelLoadError']; // HLS.js loads that never got a response
+    static sniffCacheKey = 'kptv_sniff_cache';
+    static trackPrefsKey = 'kptv_track_prefs';
+    static resumableTypes = ['4', '5']; // VOD and series keep their watch position
+    static probeCount = 0;
+    
+    /**
+     * Pass a null modalId for a headless player (used by probe())
+     */
     constructor(videoElementId = 'the_streamer', modalId = 'vid_modal') {
+        super();
+        
         this.videoElement = document.getElementById(videoElementId);
-        this.modal = UIkit.modal(`#${modalId}`);
+        this.modalElement = modalId ? document.getElementById(modalId) : null;
+        this.modal = modalId ? UIkit.modal(`#${modalId}`) : null;
+        this.osdElement = this.modalElement ? this.modalElement.querySelector('.vid-osd') : null;
+        this.statsElement = this.modalElement ? this.modalElement.querySelector('.vid-stats') : null;
+        this.statsTimer = null;
+        this.tracksElement = this.modalElement ? this.modalElement.querySelector('.vid-tracks-list') : null;
+        this.qualityElement = this.modalElement ? this.modalElement.querySelector('.vid-quality-list') : null;
+        this.qualityLabel = this.modalElement ? this.modalElement.querySelector('.vid-quality-current') : null;
+        this.liveElement = this.modalElement ? this.modalElement.querySelector('.vid-live') : null;
+        this.epgElement = this.modalElement ? this.modalElement.querySelector('.vid-epg') : null;
+        this.epgTimer = null;
+        this.resumeElement = this.modalElement ? this.modalElement.querySelector('.vid-resume') : null;
+        this.stageElement = this.modalElement ? this.modalElement.querySelector('.vid-stage') : null;
+        this.dockElement = this.modalElement ? document.getElementById('vid_dock') : null;
+        this.docked = false; // Playing in the corner mini-player instead of the modal
+        this.resumeTimer = null;
+        this.resumePosition = 0;
+        this.lastProgressSave = 0;
         this.currentPlayer = null;
+        this.engineName = null; // Registered engine that is playing
         this.playerType = null;
         this.proxyUrl = '/proxy/stream';
         this.originalUrl = null;
+        this.streamUrl = null; // What the engines actually load (proxied or original)
+        this.streamType = null;
         this.loadingModal = null; // Track loading modal
+        this.osdLoading = false; // Loading indicator shown on the video instead of the modal
+        this.osdTimer = null;
         
         this.videoJsPlayer = null;
         
+        // What the engines found out, for probe reports
+        this.attempts = []; // { engine, reason, network, ms } for every engine that failed
+        this.lastFailure = null;
+        this.lastFailureNetwork = false;
+        this.mediaInfo = null;
+        this.errorLog = []; // Recent engine error payloads, for the diagnostics panel
+        
+        // Stall watchdog and reconnects
+        this.maxReconnects = 5;
+        this.stallTimeout = 10000; // ms without the playhead moving before we call it stalled
+        this.watchdogTimer = null;
+        this.watchdogVideo = null;
+        this.reconnecting = false;
+        this.session = new AbortController(); // The current play session, aborted by the next play or by closing the player
+        this.onVideoError = () => {
+            const error = this.videoElement.error;
+            this.handlePlaybackFailure(error && error.message ? error.message : 'Video element error');
+        };
+        
+        // Channel zapping state
+        this.currentStream = null; // { id, url, name, channel } of what is playing
+        this.useProxy = true; // How what is playing connected
+        this.proxyPreference = null; // What play() was asked for: true/false forces a mode, null works it out
+        this.channelInput = '';
+        this.channelInputTimer = null;
+        this.zapping = false;
+        
         // Player states
         this.players = {
             hls: null,
@@ -22,6 +89,16 @@ class MultiFormatPlayer {
             videojs: null,
             native: null
         };
+        
+        if (this.modalElement) {
+            this.bindModalControls();
+        }
+        
+        if (this.dockElement) {
+            this.bindDockControls();
+        }
+        
+        this.recorder = this.modalElement ? new StreamRecorder(this) : null;
     }
     
     /**
@@ -30,612 +107,3728 @@ class MultiFormatPlayer {
     async play(url, options = {}) {
         console.log('Play method called with URL:', url);
         
+        // Keep our place in whatever we are zapping away from
+        this.saveProgress();
+        
+        if (this.engineName) {
+            this.emit('stopped', { reason: 'zapped' });
+        }
+        
+        const signal = this.beginSession();
+        this.hideNowNext();
+        this.hideResume();
+        this.reconnecting = false;
         this.originalUrl = url;
-        const useProxy = options.useProxy !== false;
-        const streamUrl = useProxy ? this.getProxiedUrl(url) : url;
+        this.currentStream = options.stream || { id: null, url: url, name: '', channel: '' };
+        this.updateTitle();
+        
+        this.proxyPreference = typeof options.useProxy === 'boolean' ? options.useProxy : null;
+        const modes = this.getConnectionModes(url, this.proxyPreference);
+        
+        // Zapping happens with the player already open (or docked)
+        const zapping = this.isModalOpen() || this.docked;
         
         // Show loading modal
         this.showLoadingModal();
         
         this.cleanup();
         
-        const streamType = this.detectStreamType(url);
-        console.log(`Attempting to play: ${url}`);
-        console.log(`Detected type: ${streamType}`);
-        
         let success = false;
+        let directAttempts = [];
         
-        switch(streamType) {
-            case 'hls':
-                success = await this.tryHLS(streamUrl) || 
-                         await this.tryVideoJS(streamUrl) || 
-                         await this.tryNative(streamUrl);
-                break;
-                
-            case 'mpegts':
-                // For MPEG-TS, try mpegts.js first, then try .m3u8 equivalent, then other players
-                // Sequential with delays to reduce server load
-                success = await this.tryMpegTS(streamUrl);
-                if (!success) {
-                    await this.delay(300);
-                    console.log('mpegts.js failed, trying .m3u8 fallback...');
-                    success = await this.tryTsToM3u8Fallback(url, useProxy);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    console.log('.m3u8 fallback failed, trying remaining players...');
-                    success = await this.tryVideoJS(streamUrl);
-                }
-                break;
-                
-            case 'video':
-                success = await this.tryNative(streamUrl) || 
-                         await this.tryVideoJS(streamUrl);
-                break;
-                
-            default:
-                // Try players sequentially with delays to reduce server load
-                success = await this.tryHLS(streamUrl);
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryMpegTS(streamUrl);
-                }
-                if (!success && url.toLowerCase().includes('.ts')) {
-                    await this.delay(300);
-                    console.log('Trying .ts to .m3u8 fallback for unknown type...');
-                    success = await this.tryTsToM3u8Fallback(url, useProxy);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryVideoJS(streamUrl);
-                }
-                if (!success) {
-                    await this.delay(300);
-                    success = await this.tryNative(streamUrl);
-                }
-                break;
+        for (const useProxy of modes) {
+            this.useProxy = useProxy;
+            success = await this.runEngines(url, useProxy, this.currentStream, signal);
+            
+            // Cancelled, or a newer play owns the modal and the video now
+            if (signal.aborted) return;
+            
+            // Only go through the proxy when the direct connection itself was the problem
+            if (success || useProxy || !this.isNetworkFailure()) break;
+            
+            console.log('Direct playback failed on the network, retrying through the proxy');
+            directAttempts = this.attempts.map(attempt => Object.assign({}, attempt, { engine: `${attempt.engine} (direct)` }));
+            this.cleanup();
+        }
+        
+        // Keep the direct failures in the chain for the diagnostics
+        this.attempts = directAttempts.concat(this.attempts);
+        
+        if (success && this.getProxySetting() === 'auto' && this.proxyPreference === null) {
+            this.rememberConnectionMode(url, this.useProxy);
         }
         
         if (!success) {
             // Hide loading modal on failure
             this.hideLoadingModal();
-            this.showFallbackModal();
+            
+            this.emit('failed', { attempts: this.attempts });
+            
+            // Keep the player open while zapping so the next channel is one key away
+            if (zapping) {
+                this.showOsd('Unable to play this stream', 0);
+            } else {
+                this.showFallbackModal();
+            }
         } else {
-            // Hide loading modal and show video modal
+            // Hide loading modal and show video modal, a docked player stays docked
             this.hideLoadingModal();
-            this.modal.show();
+            if (!this.docked) this.modal.show();
+            this.startWatchdog();
+            this.applyTrackPreferences();
+            this.showNowNext(this.currentStream);
+            this.offerResume();
+            this.emit('playing', { zapping: zapping, reconnected: false });
+            
+            if (zapping) {
+                this.showOsd(this.getStreamLabel(this.currentStream));
+            }
         }
     }
     
     /**
-     * Detect stream type from URL
+     * Watch the playhead and the video element for a stream that has dropped
      */
-    detectStreamType(url) {
-        const lower = url.toLowerCase();
+    startWatchdog() {
+        this.stopWatchdog();
         
-        if (lower.includes('.m3u8') || lower.includes('/hls/')) {
-            return 'hls';
-        } else if (lower.includes('.ts') && !lower.includes('.m3u8')) {
-            return 'mpegts';
-        } else if (lower.match(/\.(mp4|webm|ogg|mov)$/)) {
-            return 'video';
-        }
+        const video = this.videoElement;
+        let lastTime = video.currentTime;
+        let lastProgress = Date.now();
         
-        return 'unknown';
-    }
-    
-    /**
-     * Get proxied URL for CORS bypass
-     */
-    getProxiedUrl(url) {
-        const baseUrl = window.location.origin;
-        return `${baseUrl}/proxy/stream?url=${encodeURIComponent(url)}`;
-    }
-    
-    /**
-     * Show loading modal with spinner
-     */
-    showLoadingModal() {
-        // Create loading modal if it doesn't exist
-        if (!document.getElementById('loading_modal')) {
-            const modalHtml = `
-                <div id="loading_modal" uk-modal>
-                    <div class="uk-modal-dialog uk-modal-body uk-text-center">
-                        <div uk-spinner="ratio: 2"></div>
-                        <p class="uk-margin-top">Loading stream...</p>
-                    </div>
-                </div>
-            `;
-            document.body.insertAdjacentHTML('beforeend', modalHtml);
-        }
+        video.addEventListener('error', this.onVideoError);
         
-        this.loadingModal = UIkit.modal('#loading_modal', {
-            bgClose: false,
-            escClose: false
-        });
-        this.loadingModal.show();
+        this.watchdogTimer = setInterval(() => {
+            this.updateLiveIndicator();
+            
+            if (!video.paused && Date.now() - this.lastProgressSave > 30000) {
+                this.saveProgress();
+            }
+            
+            if (video.paused || video.ended || video.currentTime !== lastTime) {
+                lastTime = video.currentTime;
+                lastProgress = Date.now();
+                return;
+            }
+            
+            if (Date.now() - lastProgress > this.stallTimeout) {
+                this.handlePlaybackFailure('Playback stalled');
+            }
+        }, 1000);
+        
+        this.watchdogVideo = video;
     }
     
     /**
-     * Hide loading modal
+     * Stop watching for stalls
      */
-    hideLoadingModal() {
-        if (this.loadingModal) {
-            this.loadingModal.hide();
-            this.loadingModal = null;
+    stopWatchdog() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+        
+        if (this.watchdogVideo) {
+            this.watchdogVideo.removeEventListener('error', this.onVideoError);
+            this.watchdogVideo = null;
         }
     }
     
     /**
-     * Add small delay between player attempts to reduce server load
+     * Something broke after playback started, try to get it back
      */
-    async delay(ms = 500) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    handlePlaybackFailure(reason) {
+        // Still starting up (the engine chain handles that), already on it, or headless
+        if (!this.engineName || this.reconnecting || !this.modal) return;
+        
+        console.warn(`Playback failed after starting: ${reason}`);
+        this.emit('stalled', { reason: reason });
+        this.reconnect(reason);
     }
     
     /**
-     * Try .ts to .m3u8 fallback for streams that might have HLS equivalents
+     * Retry the engine that was playing with exponential backoff, then the full chain
      */
-    async tryTsToM3u8Fallback(originalUrl, useProxy) {
-        // Only try this for .ts URLs
-        if (!originalUrl.toLowerCase().includes('.ts')) {
-            return false;
-        }
+    async reconnect(reason) {
+        const signal = this.session.signal;
+        const engine = MultiFormatPlayer.engines.find(engine => engine.name === this.engineName);
+        const video = this.videoElement;
+        const resumeAt = Number.isFinite(video.duration) ? video.currentTime : 0;
         
-        console.log('Trying .ts to .m3u8 fallback...');
+        this.reconnecting = true;
+        this.logPlayerError(this.engineName, { type: 'reconnect', details: reason, fatal: false });
         
-        // Replace .ts with .m3u8
-        let m3u8Url = originalUrl.replace(/\.ts$/i, '.m3u8');
+        const resumed = () => {
+            this.reconnecting = false;
+            this.hideOsd();
+            
+            // Pick VOD back up where it dropped
+            if (resumeAt > 0) {
+                this.videoElement.currentTime = resumeAt;
+            }
+            
+            this.startWatchdog();
+            this.applyTrackPreferences();
+            this.emit('playing', { zapping: false, reconnected: true });
+        };
         
-        if (m3u8Url === originalUrl) {
-            // URL didn't end with .ts, try replacing .ts anywhere in the URL
-            m3u8Url = originalUrl.replace(/\.ts/gi, '.m3u8');
-            if (m3u8Url === originalUrl) {
-                return false; // No .ts found to replace
+        for (let attempt = 1; engine && attempt <= this.maxReconnects; attempt++) {
+            this.showOsd(`Reconnecting (${attempt}/${this.maxReconnects})…`, 0);
+            await this.delay(Math.min(1000 * Math.pow(2, attempt - 1), 16000), signal);
+            
+            // The user moved on (zapped or closed the player)
+            if (signal.aborted) return;
+            
+            this.cleanup();
+            
+            const context = {
+                originalUrl: this.originalUrl,
+                useProxy: this.useProxy,
+                streamType: this.streamType,
+                timeout: engine.timeout,
+                signal: signal
+            };
+            
+            const success = await this.attempt(engine.name, () => engine.attempt(this, this.streamUrl, context), signal);
+            if (signal.aborted) return;
+            
+            if (success) {
+                this.engineName = engine.name;
+                resumed();
+                return;
             }
         }
         
-        const streamUrl = useProxy ? this.getProxiedUrl(m3u8Url) : m3u8Url;
-        console.log(`Trying HLS equivalent: ${m3u8Url}`);
+        // Out of retries, give every engine a go
+        this.showOsd('Reconnecting with every engine…', 0);
+        this.cleanup();
         
-        // Try HLS.js with the .m3u8 equivalent
-        return await this.tryHLS(streamUrl);
+        const success = await this.runEngines(this.originalUrl, this.useProxy, this.currentStream, signal);
+        if (signal.aborted) return;
+        
+        if (success) {
+            resumed();
+        } else {
+            this.reconnecting = false;
+            this.showOsd('Lost the stream, unable to reconnect', 0);
+            this.emit('failed', { attempts: this.attempts, reason: reason });
+        }
     }
     
     /**
-     * Try HLS.js player
+     * Try the engines that can handle this stream, in order, until one of them plays
+     * 
+     * Gives up as soon as signal aborts, headless players default to their own session
      */
-    async tryHLS(url) {
-        if (!window.Hls || !Hls.isSupported()) {
-            console.log('HLS.js not supported');
-            return false;
+    async runEngines(url, useProxy, stream = null, signal = this.session.signal) {
+        this.attempts = [];
+        this.mediaInfo = null;
+        this.errorLog = [];
+        this.engineName = null;
+        
+        // Ask the proxy what the URL serves when its name gives nothing away
+        let streamType = this.detectStreamType(url);
+        if (streamType === 'unknown') {
+            streamType = await this.sniffStreamType(url, signal);
         }
+        if (signal.aborted) return false;
+        this.streamType = streamType;
         
-        return new Promise((resolve) => {
-            console.log('Trying HLS.js...');
-            
-            const hls = new Hls({
-                debug: false,
-                enableWorker: true,
-                lowLatencyMode: true,
-                backBufferLength: 90
-            });
-            
-            this.players.hls = hls;
+        const streamUrl = useProxy ? this.getProxiedUrl(url, streamType) : url;
+        this.streamUrl = streamUrl;
+        
+        const engines = this.getEngineOrder(url, streamType, stream);
+        console.log(`Attempting to play: ${url}`);
+        console.log(`Detected type: ${streamType}, engine order: ${engines.map(engine => engine.name).join(', ')}`);
+        
+        for (let i = 0; i < engines.length; i++) {
+            const engine = engines[i];
             
-            hls.on(Hls.Events.MANIFEST_PARSED, () => {
-                console.log('HLS.js: Manifest parsed successfully');
-                this.videoElement.play().then(() => {
-                    this.currentPlayer = 'hls';
-                    this.hideLoadingModal(); // Hide loading when video actually starts
-                    resolve(true);
-                }).catch(e => {
-                    console.error('HLS.js: Play failed', e);
-                    this.safeDestroyHLS();
-                    resolve(false);
-                });
-            });
+            // Small delay between engines to reduce server load
+            if (i > 0) {
+                await this.delay(300, signal);
+            }
             
-            hls.on(Hls.Events.ERROR, (event, data) => {
-                console.error('HLS.js error:', data);
-                if (data.fatal) {
-                    this.safeDestroyHLS();
-                    resolve(false);
-                }
-            });
+            if (signal.aborted) return false;
             
-            hls.loadSource(url);
-            hls.attachMedia(this.videoElement);
+            const context = {
+                originalUrl: url,
+                useProxy: useProxy,
+                streamType: streamType,
+                timeout: engine.timeout,
+                signal: signal
+            };
             
-            setTimeout(() => {
-                if (!this.currentPlayer) {
-                    this.safeDestroyHLS();
-                    resolve(false);
-                }
-            }, 5000);
-        });
+            if (await this.attempt(engine.name, () => engine.attempt(this, streamUrl, context), signal)) {
+                this.engineName = engine.name;
+                this.rememberEngine(url, stream, engine.name);
+                this.emit('engine-selected', { engine: engine.name, attempts: this.attempts });
+                return true;
+            }
+        }
+        
+        return false;
     }
     
     /**
-     * Try mpegts.js player - FIXED VERSION
+     * Engines that can play this stream type: the one that last worked for the
+     * provider/host first, then the user's preferred order, then by priority
      */
-    async tryMpegTS(url) {
-        if (!window.mpegts || !mpegts.isSupported()) {
-            console.log('mpegts.js not supported');
-            return false;
+    getEngineOrder(url, streamType, stream = null) {
+        const remembered = this.recallEngine(url, stream);
+        const preferred = (window.KPTV_SETTINGS && KPTV_SETTINGS.engine_order) || [];
+        
+        const rank = (engine) => {
+            if (engine.name === remembered) return -1;
+            const index = preferred.indexOf(engine.name);
+            return index === -1 ? preferred.length : index;
+        };
+        
+        return MultiFormatPlayer.engines
+            .filter(engine => engine.types[streamType] !== undefined)
+            .filter(engine => !engine.canHandle || engine.canHandle(url, streamType))
+            .sort((a, b) => (rank(a) - rank(b)) || (a.types[streamType] - b.types[streamType]));
+    }
+    
+    /**
+     * Keys the engine memory is stored under for a stream
+     */
+    getEngineMemoryKeys(url, stream = null) {
+        const keys = [];
+        
+        if (stream && stream.provider) {
+            keys.push(`provider:${stream.provider}`);
         }
         
-        return new Promise((resolve) => {
-            console.log('Trying mpegts.js...');
-            
-            try {
-                const player = mpegts.createPlayer({
-                    type: 'mse',
-                    isLive: true,
-                    url: url,
-                    hasAudio: true,
-                    hasVideo: true,
-                }, {
-                    enableStashBuffer: false,
-                    stashInitialSize: 128,
-                    enableWorker: true,
-                    lazyLoadMaxDuration: 3 * 60,
-                    seekType: 'range'
-                });
-                
-                this.players.mpegts = player;
-                
-                player.on(mpegts.Events.ERROR, (e) => {
-                    console.error('mpegts.js error:', e);
-                    this.safePauseMpegTS(); // Use safe cleanup
-                    this.players.mpegts = null; // Clear reference
-                    resolve(false);
-                });
-                
-                player.on(mpegts.Events.MEDIA_INFO, (mediaInfo) => {
-                    console.log('mpegts.js: Media info received', mediaInfo);
-                });
-                
-                player.on(mpegts.Events.LOADSTART, () => {
-                    console.log('mpegts.js: Load started');
-                    this.videoElement.play().then(() => {
-                        this.currentPlayer = 'mpegts';
-                        this.hideLoadingModal(); // Hide loading when video actually starts
-                        resolve(true);
-                    }).catch(e => {
-                        console.error('mpegts.js: Play failed', e);
-                        this.safePauseMpegTS();
-                        this.players.mpegts = null;
-                        resolve(false);
-                    });
-                });
-                
-                player.attachMediaElement(this.videoElement);
-                player.load();
-                player.play();
-                
-                setTimeout(() => {
-                    if (!this.currentPlayer) {
-                        this.safePauseMpegTS();
-                        this.players.mpegts = null;
-                        resolve(false);
-                    }
-                }, 5000);
-                
-            } catch (error) {
-                console.error('mpegts.js initialization failed:', error);
-                this.players.mpegts = null;
-                resolve(false);
-            }
-        });
+        try {
+            keys.push(`host:${new URL(url).host}`);
+        } catch (e) {
+            // Not an absolute URL, nothing to remember it by
+        }
+        
+        return keys;
     }
     
     /**
-     * Try Video.js player
+     * The engine that last worked for this stream's provider or host
      */
-    async tryVideoJS(url) {
-        if (!window.videojs) {
-            console.log('Video.js not available');
-            return false;
+    recallEngine(url, stream = null) {
+        const memory = MultiFormatPlayer.loadEngineMemory();
+        const key = this.getEngineMemoryKeys(url, stream).find(key => memory[key]);
+        
+        return key ? memory[key] : null;
+    }
+    
+    /**
+     * Remember the engine that worked for this stream's provider and host
+     */
+    rememberEngine(url, stream, engineName) {
+        const memory = MultiFormatPlayer.loadEngineMemory();
+        this.getEngineMemoryKeys(url, stream).forEach(key => memory[key] = engineName);
+        
+        try {
+            localStorage.setItem(MultiFormatPlayer.engineMemoryKey, JSON.stringify(memory));
+        } catch (e) {
+            console.error('Saving the engine memory failed:', e);
         }
+    }
+    
+    /**
+     * The user's proxy setting: auto, proxy or direct
+     */
+    getProxySetting() {
+        const mode = window.KPTV_SETTINGS && KPTV_SETTINGS.proxy_mode;
+        return ['proxy', 'direct'].includes(mode) ? mode : 'auto';
+    }
+    
+    /**
+     * Whether to go through the proxy, in the order to try: [true], [false], or [false, true]
+     * for direct first with the proxy as the fallback
+     */
+    getConnectionModes(url, preference = null) {
+        if (typeof preference === 'boolean') return [preference];
         
-        return new Promise((resolve) => {
-            console.log('Trying Video.js...');
-            
-            try {
-                if (!this.videoJsPlayer) {
-                    this.videoJsPlayer = videojs(this.videoElement.id, {
-                        controls: true,
-                        autoplay: false,
-                        preload: 'auto',
-                        fluid: true,
-                        liveui: true,
-                        html5: {
-                            vhs: {
-                                overrideNative: true,
-                                smoothQualityChange: true,
-                                fastQualityChange: true
-                            }
-                        }
-                    });
-                }
-                
-                this.players.videojs = this.videoJsPlayer;
-                
-                this.videoJsPlayer.ready(() => {
-                    this.videoJsPlayer.src({
-                        src: url,
-                        type: this.getVideoJsType(url)
-                    });
-                    
-                    this.videoJsPlayer.one('loadedmetadata', () => {
-                        console.log('Video.js: Metadata loaded');
-                        this.videoJsPlayer.play().then(() => {
-                            this.currentPlayer = 'videojs';
-                            this.hideLoadingModal(); // Hide loading when video actually starts
-                            resolve(true);
-                        }).catch(e => {
-                            console.error('Video.js: Play failed', e);
-                            resolve(false);
-                        });
-                    });
-                    
-                    this.videoJsPlayer.one('error', () => {
-                        console.error('Video.js: Error loading');
-                        resolve(false);
-                    });
-                    
-                    setTimeout(() => {
-                        if (!this.currentPlayer) {
-                            resolve(false);
-                        }
-                    }, 5000);
-                });
-                
-            } catch (error) {
-                console.error('Video.js initialization failed:', error);
-                resolve(false);
-            }
-        });
+        const setting = this.getProxySetting();
+        if (setting !== 'auto') return [setting === 'proxy'];
+        
+        // An https page can't load http media, the browser blocks it as mixed content
+        if (window.location.protocol === 'https:' && /^http:/i.test(url)) return [true];
+        
+        return this.recallConnectionMode(url) === 'proxy' ? [true] : [false, true];
     }
     
     /**
-     * Try native HTML5 video
+     * Did the last engine chain fail on the connection (CORS, mixed content, the
+     * host refusing it) rather than on the media itself, a plain timeout doesn't count
      */
-    async tryNative(url) {
-        return new Promise((resolve) => {
-            console.log('Trying native HTML5 video...');
+    isNetworkFailure() {
+        return this.attempts.some(attempt => attempt.network === true);
+    }
+    
+    /**
+     * Is the url on another origin than the page
+     */
+    static isCrossOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin !== window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * Did a media element error come from the connection, MEDIA_ERR_NETWORK, or
+     * MEDIA_ERR_SRC_NOT_SUPPORTED on a cross-origin source the browser wouldn't load
+     */
+    static isMediaNetworkError(error, url) {
+        if (!error) return false;
+        return error.code === 2 || (error.code === 4 && MultiFormatPlayer.isCrossOrigin(url));
+    }
+    
+    /**
+     * The connection mode that last worked for this stream's host
+     */
+    recallConnectionMode(url) {
+        try {
+            return MultiFormatPlayer.loadProxyMemory()[new URL(url).host] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Remember whether this stream's host played direct or through the proxy
+     */
+    rememberConnectionMode(url, useProxy) {
+        const memory = MultiFormatPlayer.loadProxyMemory();
+        
+        try {
+            memory[new URL(url).host] = useProxy ? 'proxy' : 'direct';
+            localStorage.setItem(MultiFormatPlayer.proxyMemoryKey, JSON.stringify(memory));
+        } catch (e) {
+            console.error('Saving the proxy memory failed:', e);
+        }
+    }
+    
+    /**
+     * Read the proxy memory from local storage
+     */
+    static loadProxyMemory() {
+        try {
+            return JSON.parse(localStorage.getItem(MultiFormatPlayer.proxyMemoryKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    /**
+     * Read the engine memory from local storage
+     */
+    static loadEngineMemory() {
+        try {
+            return JSON.parse(localStorage.getItem(MultiFormatPlayer.engineMemoryKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    /**
+     * Add (or replace) a playback engine
+     * 
+     * engine: {
+     *     name: 'dash',                  // unique, used in settings and the engine memory
+     *     types: { dash: 10 },           // stream types it plays, lower priorities are tried first
+     *     canHandle: (url, type) => bool, // optional extra check
+     *     timeout: 5000,                 // ms before the attempt gives up
+     *     attempt: (player, url, context) => Promise<bool>, // play url on player.videoElement, give up when context.signal aborts
+     *     destroy: (player) => {}        // optional, called from cleanup()
+     * }
+     */
+    static registerEngine(engine) {
+        if (!engine || !engine.name || typeof engine.attempt !== 'function') {
+            throw new Error('An engine needs a name and an attempt() function');
+        }
+        
+        const entry = Object.assign({ types: {}, timeout: 5000 }, engine);
+        MultiFormatPlayer.engines = MultiFormatPlayer.engines
+            .filter(existing => existing.name !== entry.name)
+            .concat([entry]);
+        
+        return entry;
+    }
+    
+    /**
+     * Remove a playback engine
+     */
+    static unregisterEngine(name) {
+        MultiFormatPlayer.engines = MultiFormatPlayer.engines.filter(engine => engine.name !== name);
+    }
+    
+    /**
+     * Run one engine and log why it failed
+     */
+    async attempt(engine, tryEngine, signal = null) {
+        if (signal && signal.aborted) return false;
+        
+        const started = performance.now();
+        this.lastFailure = null;
+        this.lastFailureNetwork = false;
+        this.emit('attempt', { engine: engine });
+        
+        const success = await tryEngine();
+        
+        // Cancelled, it's not this engine's fault and a newer session owns the player
+        if (signal && signal.aborted) return false;
+        
+        if (!success) {
+            this.attempts.push({
+                engine: engine,
+                reason: this.lastFailure || 'Timed out',
+                network: this.lastFailureNetwork,
+                ms: Math.round(performance.now() - started)
+            });
+        }
+        
+        return success;
+    }
+    
+    /**
+     * Let page code know what the player is doing
+     */
+    emit(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, {
+            detail: Object.assign({
+                streamId: this.currentStream ? this.currentStream.id : null,
+                url: this.originalUrl,
+                engine: this.engineName,
+                streamType: this.streamType
+            }, detail)
+        }));
+    }
+    
+    /**
+     * Probe a stream without showing anything and report how it played
+     * 
+     * Resolves to { url, success, engine, streamType, timeToFirstFrame, width, height,
+     * videoCodec, audioCodec, failures: [{ engine, reason, ms }] }
+     */
+    static async probe(url, options = {}) {
+        return MultiFormatPlayer.withHeadlessPlayer(prober => prober.runProbe(url, options));
+    }
+    
+    /**
+     * Play a stream headlessly and grab a non-blank frame as a JPEG data URL
+     * 
+     * Resolves to null when it won't play or every frame tried was blank
+     */
+    static async snapshot(url, options = {}) {
+        const settle = options.settle || 3000;
+        const tries = options.tries || 3;
+        
+        return MultiFormatPlayer.withHeadlessPlayer(async (player) => {
+            player.originalUrl = url;
             
-            // Don't try native for MPEG-TS files
-            if (this.detectStreamType(url) === 'mpegts') {
-                console.log('Skipping native player for MPEG-TS format');
-                resolve(false);
-                return;
+            if (!await player.runEngines(url, options.useProxy !== false) || !await player.waitForFirstFrame()) {
+                return null;
             }
             
-            try {
-                if (this.videoJsPlayer) {
-                    this.videoJsPlayer.dispose();
-                    this.videoJsPlayer = null;
-                    
-                    // Check if video element still has a parent
-                    const parent = this.videoElement.parentNode;
-                    if (parent) {
-                        const newVideo = document.createElement('video');
-                        newVideo.id = this.videoElement.id;
-                        newVideo.className = this.videoElement.className;
-                        newVideo.controls = true;
-                        newVideo.width = 800;
-                        newVideo.height = 450;
-                        parent.replaceChild(newVideo, this.videoElement);
-                        this.videoElement = newVideo;
-                    } else {
-                        // Video element was removed, try to find it again or recreate
-                        const originalId = this.videoElement.id;
-                        this.videoElement = document.getElementById(originalId);
-                        
-                        if (!this.videoElement) {
-                            console.error('Native player: Video element not found');
-                            resolve(false);
-                            return;
-                        }
-                    }
-                }
-                
-                this.videoElement.src = url;
-                
-                const playHandler = () => {
-                    console.log('Native player: Playing');
-                    this.currentPlayer = 'native';
-                    this.hideLoadingModal(); // Hide loading when video actually starts
-                    cleanup();
-                    resolve(true);
-                };
-                
-                const errorHandler = () => {
-                    console.error('Native player: Error');
-                    cleanup();
-                    resolve(false);
-                };
-                
-                const cleanup = () => {
-                    this.videoElement.removeEventListener('canplay', playHandler);
-                    this.videoElement.removeEventListener('error', errorHandler);
-                };
-                
-                this.videoElement.addEventListener('canplay', playHandler, { once: true });
-                this.videoElement.addEventListener('error', errorHandler, { once: true });
-                
-                this.videoElement.load();
-                
-                setTimeout(() => {
-                    if (!this.currentPlayer) {
-                        cleanup();
-                        resolve(false);
-                    }
-                }, 5000);
+            // Give it a few seconds to get past black intro frames
+            for (let i = 0; i < tries; i++) {
+                await player.delay(settle);
                 
-            } catch (error) {
-                console.error('Native player initialization failed:', error);
-                resolve(false);
+                const canvas = player.captureFrame();
+                if (canvas && !player.isBlankFrame(canvas)) {
+                    return canvas.toDataURL('image/jpeg', 0.85);
+                }
             }
+            
+            return null;
         });
     }
     
     /**
-     * Get Video.js type from URL - IMPROVED VERSION
+     * Run a callback with a muted, offscreen player and tear it down after
      */
-    getVideoJsType(url) {
-        const lower = url.toLowerCase();
+    static async withHeadlessPlayer(callback) {
+        const container = document.createElement('div');
+        container.className = 'vid-probe';
+        container.setAttribute('aria-hidden', 'true');
         
-        if (lower.includes('.m3u8')) return 'application/x-mpegURL';
-        if (lower.includes('.mp4')) return 'video/mp4';
-        if (lower.includes('.webm')) return 'video/webm';
-        if (lower.includes('.ogg')) return 'video/ogg';
+        const video = document.createElement('video');
+        video.id = `vid_probe_${++MultiFormatPlayer.probeCount}`;
+        video.muted = true;
+        video.playsInline = true;
+        container.appendChild(video);
+        document.body.appendChild(container);
         
-        // For .ts files, try HLS type first - Video.js can sometimes handle them
-        if (lower.includes('.ts')) return 'application/x-mpegURL';
+        const player = new MultiFormatPlayer(video.id, null);
         
-        return 'application/x-mpegURL'; // Default to HLS
+        try {
+            return await callback(player);
+        } finally {
+            player.destroy();
+            container.remove();
+        }
     }
     
     /**
-     * Safe cleanup for HLS.js
+     * Draw the current frame to a canvas, no wider than maxWidth
+     * 
+     * Returns null when there is no frame yet, or the video is cross-origin
+     * (played without the proxy) and the canvas can't be read
      */
-    safeDestroyHLS() {
-        if (this.players.hls) {
-            try {
-                this.players.hls.destroy();
-            } catch (e) {
-                console.error('Error destroying HLS player:', e);
-            }
-            this.players.hls = null;
+    captureFrame(maxWidth = 400) {
+        const video = this.videoElement;
+        if (!video || !video.videoWidth || !video.videoHeight) return null;
+        
+        const scale = Math.min(1, maxWidth / video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        
+        try {
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            canvas.toDataURL('image/jpeg');
+        } catch (e) {
+            console.error('Capturing the frame failed:', e);
+            return null;
         }
+        
+        return canvas;
     }
     
     /**
-     * Safe cleanup for mpegts.js - FIXED VERSION
+     * A frame that is (almost) one flat color, like black between programmes or a test card fill
      */
-    safePauseMpegTS() {
-        if (this.players.mpegts) {
-            try {
-                // Check if player has the methods before calling them
-                if (typeof this.players.mpegts.pause === 'function') {
-                    this.players.mpegts.pause();
-                }
-                if (typeof this.players.mpegts.unload === 'function') {
-                    this.players.mpegts.unload();
-                }
-                if (typeof this.players.mpegts.detachMediaElement === 'function') {
-                    this.players.mpegts.detachMediaElement();
-                }
-                if (typeof this.players.mpegts.destroy === 'function') {
-                    this.players.mpegts.destroy();
-                }
-            } catch (e) {
-                console.error('Error cleaning up mpegts player:', e);
-            }
+    isBlankFrame(canvas) {
+        const sample = document.createElement('canvas');
+        sample.width = 32;
+        sample.height = 18;
+        
+        const context = sample.getContext('2d');
+        context.drawImage(canvas, 0, 0, sample.width, sample.height);
+        const pixels = context.getImageData(0, 0, sample.width, sample.height).data;
+        
+        // Spread of the luma across the sampled pixels
+        let sum = 0;
+        let sumSquares = 0;
+        const count = pixels.length / 4;
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            sum += luma;
+            sumSquares += luma * luma;
         }
+        
+        const mean = sum / count;
+        const variance = sumSquares / count - mean * mean;
+        
+        return variance < 40;
     }
     
     /**
-     * Show fallback modal with VLC option
+     * Save what is on screen as the playing stream's logo
      */
-    showFallbackModal() {
-        console.error('All players failed');
+    async snapshotAsLogo() {
+        const stream = this.currentStream;
         
-        const streamType = this.detectStreamType(this.originalUrl);
-        let additionalInfo = '';
+        if (!this.engineName || !stream || !stream.id) {
+            UIkit.notification({ message: 'Nothing to take a snapshot of', status: 'warning', pos: 'top-center', timeout: 5000 });
+            return;
+        }
         
-        if (streamType === 'mpegts') {
-            additionalInfo = '<p><strong>Note:</strong> This appears to be an MPEG-TS stream, which requires special player support.</p>';
+        const canvas = this.captureFrame();
+        if (!canvas) {
+            UIkit.notification({ message: 'This frame can\'t be captured, try again through the proxy', status: 'warning', pos: 'top-center', timeout: 5000 });
+            return;
         }
         
-        UIkit.modal.alert(`
-            <div class="uk-text-center">
-                <h3 class="uk-text-center">Unable to Play Stream</h3>
-                <p>All web players failed to load this stream.</p>
-                ${additionalInfo}
-                <p>You can try playing it in VLC Media Player:</p>
-                <div class="uk-margin">
-                    <input type="text" class="uk-input" value="${this.originalUrl}" readonly>
-                </div>
-                <p class="uk-text-center">Copy the URL above and paste it into VLC:<br>
-                Media → Open Network Stream</p>
-            </div>
-        `);
+        if (this.isBlankFrame(canvas)) {
+            UIkit.notification({ message: 'This frame is blank, try again in a moment', status: 'warning', pos: 'top-center', timeout: 5000 });
+            return;
+        }
+        
+        const result = await saveSnapshot(stream.id, canvas.toDataURL('image/jpeg', 0.85));
+        UIkit.notification({ message: result.message, status: result.success ? 'success' : 'danger', pos: 'top-center', timeout: 5000 });
+        
+        if (result.success && window.DataTables) {
+            window.DataTables.loadData();
+        }
     }
     
     /**
-     * Clean up all players - FIXED VERSION
+     * Run the engine chain on this (headless) player and build the probe report
      */
-    cleanup() {
-        console.log('Cleaning up players...');
+    async runProbe(url, options = {}) {
+        const useProxy = options.useProxy !== false;
+        const started = performance.now();
         
-        // DON'T hide loading modal here - let it stay until success/failure
+        this.originalUrl = url;
+        const success = await this.runEngines(url, useProxy);
         
-        // Clean HLS.js
-        this.safeDestroyHLS();
+        const report = {
+            url: url,
+            success: success,
+            engine: success ? this.engineName : null,
+            streamType: this.streamType || this.detectStreamType(url), // The sniffed type when there is one
+            timeToFirstFrame: null,
+            width: null,
+            height: null,
+            videoCodec: null,
+            audioCodec: null,
+            failures: this.attempts
+        };
         
-        // Clean mpegts.js with safe cleanup
-        this.safePauseMpegTS();
-        this.players.mpegts = null;
+        if (success) {
+            if (await this.waitForFirstFrame()) {
+                report.timeToFirstFrame = Math.round(performance.now() - started);
+            }
+            
+            const info = this.mediaInfo || {};
+            report.width = this.videoElement.videoWidth || info.width || null;
+            report.height = this.videoElement.videoHeight || info.height || null;
+            report.videoCodec = info.videoCodec || null;
+            report.audioCodec = info.audioCodec || null;
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Resolve true once the video has decoded a frame, false after the timeout
+     */
+    waitForFirstFrame(timeout = 5000) {
+        const video = this.videoElement;
+        
+        if (video.currentTime > 0 && video.videoWidth > 0) {
+            return Promise.resolve(true);
+        }
+        
+        return new Promise(resolve => {
+            const done = (result) => {
+                clearTimeout(timer);
+                video.removeEventListener('timeupdate', onTime);
+                resolve(result);
+            };
+            const onTime = () => {
+                if (video.currentTime > 0) done(true);
+            };
+            const timer = setTimeout(() => done(false), timeout);
+            
+            video.addEventListener('timeupdate', onTime);
+        });
+    }
+    
+    /**
+     * Tear the player down for good (headless players)
+     */
+    destroy() {
+        this.endSession();
+        this.cleanup();
         
-        // Clean Video.js
         if (this.videoJsPlayer) {
             try {
-                this.videoJsPlayer.pause();
-                this.videoJsPlayer.reset();
+                this.videoJsPlayer.dispose();
             } catch (e) {
-                console.error('Error cleaning up Video.js:', e);
+                console.error('Error disposing Video.js:', e);
             }
+            this.videoJsPlayer = null;
         }
+    }
+    
+    /**
+     * Detect stream type from URL
+     */
+    detectStreamType(url) {
+        const lower = url.toLowerCase();
+        
+        if (lower.includes('.m3u8') || lower.includes('/hls/')) {
+            return 'hls';
+        } else if (lower.includes('.ts') && !lower.includes('.m3u8')) {
+            return 'mpegts';
+        } else if (lower.match(/\.(mp4|webm|ogg|mov)$/)) {
+            return 'video';
+        } else if (lower.includes('.mpd')) {
+            return 'dash';
+        }
+        
+        return 'unknown';
+    }
+    
+    /**
+     * Work out the type of an extensionless URL from its first bytes, through the proxy
+     */
+    async sniffStreamType(url, signal = null) {
+        const cache = MultiFormatPlayer.loadSniffCache();
+        if (cache[url]) {
+            console.log(`Sniffed type (cached): ${cache[url]}`);
+            return cache[url];
+        }
+        
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 5000);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
         
-        // Reset native video
         try {
-            if (this.videoElement && typeof this.videoElement.load === 'function') {
-                this.videoElement.src = '';
-                this.videoElement.load();
+            const response = await fetch(`${this.proxyUrl}?sniff=1&url=${encodeURIComponent(url)}`, { signal: controller.signal });
+            const data = await response.json();
+            console.log('Sniffed stream:', data);
+            
+            if (data.type && data.type !== 'unknown') {
+                cache[url] = data.type;
+                MultiFormatPlayer.saveSniffCache(cache);
+                return data.type;
             }
         } catch (e) {
-            console.error('Error resetting native video:', e);
+            console.error('Sniffing the stream type failed:', e);
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
         }
         
-        this.currentPlayer = null;
+        return 'unknown';
     }
     
     /**
-     * Stop playback and close modal
+     * Read the sniffed types from session storage
      */
-    stop() {
-        this.cleanup();
-        this.hideLoadingModal();
-        this.modal.hide();
+    static loadSniffCache() {
+        try {
+            return JSON.parse(sessionStorage.getItem(MultiFormatPlayer.sniffCacheKey)) || {};
+        } catch (e) {
+            return {};
+        }
     }
-}
-
-// Initialize the player when DOM is ready
-let multiPlayer;
-
-document.addEventListener('DOMContentLoaded', function() {
-    multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
     
-    UIkit.util.on('#vid_modal', 'hidden', function () {
-        if (multiPlayer) {
-            multiPlayer.cleanup();
+    /**
+     * Save the sniffed types, keeping the most recent 500
+     */
+    static saveSniffCache(cache) {
+        const urls = Object.keys(cache).slice(-500);
+        
+        try {
+            sessionStorage.setItem(MultiFormatPlayer.sniffCacheKey, JSON.stringify(Object.fromEntries(urls.map(url => [url, cache[url]]))));
+        } catch (e) {
+            console.error('Saving the sniff cache failed:', e);
         }
-    });
-});
-
-function playStream(url, useProxy = true) {
-    if (!multiPlayer) {
-        multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
     }
     
-    multiPlayer.play(url, { useProxy: useProxy });
-}
-
+    /**
+     * Get proxied URL for CORS bypass
+     */
+    getProxiedUrl(url, streamType = null) {
+        const baseUrl = window.location.origin;
+        
+        // Let the proxy know to rewrite a playlist it can't spot by extension
+        const hint = streamType === 'hls' && this.detectStreamType(url) !== 'hls' ? '&type=hls' : '';
+        return `${baseUrl}${this.proxyUrl}?url=${encodeURIComponent(url)}${hint}`;
+    }
+    
+    /**
+     * Show loading modal with spinner
+     */
+    showLoadingModal() {
+        // Headless players have nothing to show
+        if (!this.modal) return;
+        
+        // While zapping, show the loader on the video instead: opening a second
+        // modal would close the player, and its hidden handler would clean up the new stream
+        if (this.isModalOpen() || this.docked) {
+            this.osdLoading = true;
+            this.showOsd('Loading stream...', 0);
+            return;
+        }
+        
+        // Create loading modal if it doesn't exist
+        if (!document.getElementById('loading_modal')) {
+            const modalHtml = `
+                <div id="loading_modal" uk-modal>
+                    <div class="uk-modal-dialog uk-modal-body uk-text-center">
+                        <div uk-spinner="ratio: 2"></div>
+                        <p class="uk-margin-top">Loading stream...</p>
+                        <button type="button" class="uk-button uk-button-default uk-button-small loading-cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            document.body.insertAdjacentHTML('beforeend', modalHtml);
+            
+            const element = document.getElementById('loading_modal');
+            element.querySelector('.loading-cancel').addEventListener('click', () => this.cancel());
+            
+            // Escape closes it too, only the user hides it while loadingModal is still set
+            UIkit.util.on(element, 'hidden', () => {
+                if (this.loadingModal) {
+                    this.loadingModal = null;
+                    this.cancel();
+                }
+            });
+        }
+        
+        this.loadingModal = UIkit.modal('#loading_modal', {
+            bgClose: false,
+            escClose: true
+        });
+        this.loadingModal.show();
+    }
+    
+    /**
+     * Hide loading modal
+     */
+    hideLoadingModal() {
+        if (this.loadingModal) {
+            const modal = this.loadingModal;
+            this.loadingModal = null;
+            modal.hide();
+        }
+        
+        if (this.osdLoading) {
+            this.osdLoading = false;
+            this.hideOsd();
+        }
+    }
+    
+    /**
+     * Start a play session, aborting the one before it
+     */
+    beginSession() {
+        this.endSession();
+        this.session = new AbortController();
+        
+        return this.session.signal;
+    }
+    
+    /**
+     * Abort the current session: its engine attempts, delays, sniffing and reconnects all stop
+     */
+    endSession() {
+        this.session.abort();
+    }
+    
+    /**
+     * Give up on the stream that is loading
+     */
+    cancel() {
+        console.log('Play cancelled');
+        
+        this.endSession();
+        this.cleanup();
+        this.hideLoadingModal();
+    }
+    
+    /**
+     * Check if the video modal is currently open
+     */
+    isModalOpen() {
+        return !!this.modalElement && this.modalElement.classList.contains('uk-open');
+    }
+    
+    /**
+     * Show a message over the video, hidden again after the timeout (0 keeps it up)
+     */
+    showOsd(text, timeout = 3000) {
+        if (!this.osdElement) return;
+        
+        clearTimeout(this.osdTimer);
+        this.osdElement.textContent = text;
+        this.osdElement.hidden = false;
+        
+        if (timeout > 0) {
+            this.osdTimer = setTimeout(() => this.hideOsd(), timeout);
+        }
+    }
+    
+    /**
+     * Hide the on-screen message
+     */
+    hideOsd() {
+        clearTimeout(this.osdTimer);
+        if (this.osdElement) {
+            this.osdElement.hidden = true;
+        }
+    }
+    
+    /**
+     * Show what is on now and next from the user's guide for a few seconds
+     */
+    async showNowNext(stream, timeout = 6000) {
+        if (!this.epgElement || !stream || !stream.id) return;
+        
+        const signal = this.session.signal;
+        let data;
+        
+        try {
+            const response = await fetch(`/player/epg?id=${encodeURIComponent(stream.id)}`);
+            data = await response.json();
+        } catch (e) {
+            console.error('Loading now and next failed:', e);
+            return;
+        }
+        
+        // Zapped away while it loaded, or nothing in the guide
+        if (signal.aborted || !data.success || (!data.data.now && !data.data.next)) return;
+        
+        const time = (seconds) => new Date(seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const line = (label, item) => {
+            const div = document.createElement('div');
+            const when = document.createElement('span');
+            when.className = 'vid-epg-time';
+            when.textContent = `${label} ${time(item.start)} - ${time(item.stop)}`;
+            div.appendChild(when);
+            div.appendChild(document.createTextNode(item.title));
+            return div;
+        };
+        
+        const lines = [];
+        if (data.data.now) lines.push(line('Now', data.data.now));
+        if (data.data.next) lines.push(line('Next', data.data.next));
+        
+        clearTimeout(this.epgTimer);
+        this.epgElement.replaceChildren(...lines);
+        this.epgElement.hidden = false;
+        this.epgTimer = setTimeout(() => this.hideNowNext(), timeout);
+    }
+    
+    /**
+     * Does what is playing keep a watch position (a series or VOD stream with a duration)
+     */
+    isResumable() {
+        const stream = this.currentStream;
+        const video = this.videoElement;
+        
+        return !!stream && !!stream.id && MultiFormatPlayer.resumableTypes.includes(String(stream.type))
+            && !!video && Number.isFinite(video.duration) && video.duration > 0;
+    }
+    
+    /**
+     * Send the watch position to the server
+     */
+    saveProgress() {
+        if (!this.engineName || !this.isResumable()) return;
+        
+        const video = this.videoElement;
+        this.lastProgressSave = Date.now();
+        
+        // keepalive lets it finish when the page is closing
+        fetch('/player/progress', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: this.currentStream.id,
+                position: Math.floor(video.currentTime),
+                duration: Math.floor(video.duration)
+            }),
+            keepalive: true
+        }).catch(e => console.error('Saving the watch position failed:', e));
+    }
+    
+    /**
+     * Offer to pick up where the user left off
+     */
+    async offerResume(timeout = 15000) {
+        if (!this.resumeElement || !this.isResumable()) return;
+        
+        const signal = this.session.signal;
+        let data;
+        
+        try {
+            const response = await fetch(`/player/progress?id=${encodeURIComponent(this.currentStream.id)}`);
+            data = await response.json();
+        } catch (e) {
+            console.error('Loading the watch position failed:', e);
+            return;
+        }
+        
+        const position = data.success ? data.data.position : 0;
+        if (signal.aborted || !(position > 0) || position >= this.videoElement.duration - 30) return;
+        
+        this.resumePosition = position;
+        this.resumeElement.querySelector('.vid-resume-text').textContent = `Resume from ${this.formatDuration(position)}?`;
+        this.resumeElement.hidden = false;
+        
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.hideResume(), timeout);
+    }
+    
+    /**
+     * Answer the resume prompt
+     */
+    resume(fromPosition) {
+        if (fromPosition && this.resumePosition > 0) {
+            this.videoElement.currentTime = this.resumePosition;
+        }
+        
+        this.hideResume();
+    }
+    
+    /**
+     * Hide the resume prompt
+     */
+    hideResume() {
+        clearTimeout(this.resumeTimer);
+        this.resumePosition = 0;
+        if (this.resumeElement) {
+            this.resumeElement.hidden = true;
+        }
+    }
+    
+    /**
+     * Hide the now and next banner
+     */
+    hideNowNext() {
+        clearTimeout(this.epgTimer);
+        if (this.epgElement) {
+            this.epgElement.hidden = true;
+        }
+    }
+    
+    /**
+     * Channel number and name of a stream, for the title and the OSD
+     */
+    getStreamLabel(stream) {
+        if (!stream) return '';
+        
+        const channel = stream.channel && stream.channel !== '0' ? stream.channel : '';
+        return [channel, stream.name].filter(Boolean).join(' - ');
+    }
+    
+    /**
+     * Show what is playing under the video
+     */
+    updateTitle() {
+        [this.modalElement, this.dockElement].filter(Boolean).forEach(element => {
+            const title = element.querySelector('.vid-title');
+            if (title) {
+                title.textContent = this.getStreamLabel(this.currentStream);
+            }
+        });
+    }
+    
+    /**
+     * Shrink the player into the corner, where it keeps playing while the tables are used
+     */
+    dock() {
+        if (this.docked || !this.dockElement || !this.stageElement) return;
+        
+        // Set first, the modal's hidden handlers leave a docked player running
+        this.docked = true;
+        this.stopDiagnostics();
+        this.dockElement.appendChild(this.stageElement);
+        this.dockElement.hidden = false;
+        this.updateTitle();
+        
+        if (this.isModalOpen()) {
+            this.modal.hide();
+        }
+    }
+    
+    /**
+     * Bring the docked player back into the modal
+     */
+    undock() {
+        if (!this.docked) return;
+        
+        this.restoreStage();
+        this.modal.show();
+    }
+    
+    /**
+     * Stop the docked player, the only way it stops besides playing something else
+     */
+    closeDock() {
+        if (!this.docked) return;
+        
+        if (document.pictureInPictureElement) {
+            document.exitPictureInPicture().catch(e => console.error('Leaving Picture-in-Picture failed:', e));
+        }
+        
+        this.saveProgress();
+        this.restoreStage();
+        this.handleClosed();
+        this.cleanup();
+    }
+    
+    /**
+     * Put the video back in the modal and hide the dock
+     */
+    restoreStage() {
+        this.docked = false;
+        this.dockElement.hidden = true;
+        this.modalElement.querySelector('.uk-modal-dialog').insertBefore(this.stageElement, this.modalElement.querySelector('.vid-toolbar'));
+    }
+    
+    /**
+     * Pop the video out into the browser's Picture-in-Picture window, or bring it back
+     */
+    async togglePictureInPicture() {
+        try {
+            if (document.pictureInPictureElement) {
+                await document.exitPictureInPicture();
+            } else if (!document.pictureInPictureEnabled || !this.engineName) {
+                UIkit.notification({ message: 'Picture-in-Picture is not available', status: 'warning', pos: 'top-center', timeout: 5000 });
+            } else {
+                await this.videoElement.requestPictureInPicture();
+            }
+        } catch (e) {
+            console.error('Picture-in-Picture failed:', e);
+            UIkit.notification({ message: 'Picture-in-Picture failed for this stream', status: 'danger', pos: 'top-center', timeout: 5000 });
+        }
+    }
+    
+    /**
+     * Wire up the dock's buttons
+     */
+    bindDockControls() {
+        this.dockElement.addEventListener('click', (e) => {
+            if (e.target.closest('.vid-undock')) {
+                e.preventDefault();
+                this.undock();
+            } else if (e.target.closest('.vid-dock-close')) {
+                e.preventDefault();
+                this.closeDock();
+            } else if (e.target.closest('.vid-pip')) {
+                e.preventDefault();
+                this.togglePictureInPicture();
+            } else if (e.target.closest('.vid-resume-yes')) {
+                e.preventDefault();
+                this.resume(true);
+            } else if (e.target.closest('.vid-resume-no')) {
+                e.preventDefault();
+                this.resume(false);
+            }
+        });
+        
+        // However it got popped out (our button or the browser's), dock it so closing
+        // the modal doesn't stop what is showing in the Picture-in-Picture window
+        if (this.stageElement) {
+            this.stageElement.addEventListener('enterpictureinpicture', () => this.dock(), true);
+        }
+    }
+    
+    /**
+     * Wire up the toolbar buttons, arrow keys and typed channel numbers
+     */
+    bindModalControls() {
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target.closest('.vid-prev')) {
+                e.preventDefault();
+                this.zap(-1);
+            } else if (e.target.closest('.vid-next')) {
+                e.preventDefault();
+                this.zap(1);
+            } else if (e.target.closest('.vid-stats-toggle')) {
+                e.preventDefault();
+                this.toggleDiagnostics();
+            } else if (e.target.closest('.vid-stats-copy')) {
+                e.preventDefault();
+                this.copyDiagnostics();
+            } else if (e.target.closest('.vid-resume-yes')) {
+                e.preventDefault();
+                this.resume(true);
+            } else if (e.target.closest('.vid-resume-no')) {
+                e.preventDefault();
+                this.resume(false);
+            } else if (e.target.closest('.vid-snapshot')) {
+                e.preventDefault();
+                this.snapshotAsLogo();
+            } else if (e.target.closest('.vid-pip')) {
+                e.preventDefault();
+                this.togglePictureInPicture();
+            } else if (e.target.closest('.vid-dock-toggle')) {
+                e.preventDefault();
+                this.dock();
+            } else if (e.target.closest('.vid-live')) {
+                e.preventDefault();
+                this.jumpToLive();
+            } else if (e.target.closest('.vid-quality-option')) {
+                e.preventDefault();
+                this.selectQuality(parseInt(e.target.closest('.vid-quality-option').dataset.level, 10));
+                this.renderQuality();
+            } else if (e.target.closest('.vid-track-option')) {
+                e.preventDefault();
+                const option = e.target.closest('.vid-track-option');
+                this.selectTrack(option.dataset.kind, parseInt(option.dataset.index, 10));
+                this.renderTracks();
+            }
+        });
+        
+        // Build the track menu fresh each time it opens, engines add tracks as they find them
+        const tracksMenu = this.modalElement.querySelector('.vid-tracks-menu');
+        if (tracksMenu) {
+            UIkit.util.on(tracksMenu, 'beforeshow', () => this.renderTracks());
+        }
+        
+        const qualityMenu = this.modalElement.querySelector('.vid-quality-menu');
+        if (qualityMenu) {
+            UIkit.util.on(qualityMenu, 'beforeshow', () => this.renderQuality());
+        }
+        
+        // Only refresh the diagnostics while someone can see them
+        UIkit.util.on(this.modalElement, 'shown', () => {
+            if (this.statsElement && !this.statsElement.hidden) this.startDiagnostics();
+        });
+        // Before cleanup() throws the position away
+        UIkit.util.on(this.modalElement, 'beforehide', () => this.saveProgress());
+        UIkit.util.on(this.modalElement, 'hidden', () => {
+            if (!this.docked) this.handleClosed();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.isModalOpen() || e.altKey || e.ctrlKey || e.metaKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.zap(e.key === 'ArrowUp' ? -1 : 1);
+            } else if (/^[0-9]$/.test(e.key)) {
+                e.preventDefault();
+                this.queueChannelDigit(e.key);
+            } else if (e.key === 'i' || e.key === 'I') {
+                e.preventDefault();
+                this.toggleDiagnostics();
+            } else if (e.key === 'l' || e.key === 'L') {
+                e.preventDefault();
+                this.jumpToLive();
+            } else if (e.key === 'p' || e.key === 'P') {
+                e.preventDefault();
+                this.togglePictureInPicture();
+            } else if (e.key === 'd' || e.key === 'D') {
+                e.preventDefault();
+                this.dock();
+            }
+        });
+    }
+    
+    /**
+     * The user closed the player (the modal, or the dock)
+     */
+    handleClosed() {
+        if (this.engineName) {
+            this.emit('stopped', { reason: 'closed', position: this.videoElement.currentTime });
+        }
+        
+        this.stopDiagnostics();
+        this.hideResume();
+        
+        // Stops any engine chain or reconnect in progress
+        this.endSession();
+        this.reconnecting = false;
+    }
+    
+    /**
+     * Keep an engine error payload for the diagnostics panel
+     */
+    logPlayerError(engine, details) {
+        this.errorLog.push({ engine: engine, time: new Date().toISOString(), ...details });
+        this.errorLog = this.errorLog.slice(-20);
+    }
+    
+    /**
+     * Show or hide the diagnostics panel over the video
+     */
+    toggleDiagnostics(show) {
+        if (!this.statsElement) return;
+        
+        show = show === undefined ? this.statsElement.hidden : show;
+        this.statsElement.hidden = !show;
+        
+        if (show) {
+            this.startDiagnostics();
+        } else {
+            this.stopDiagnostics();
+        }
+    }
+    
+    /**
+     * Render the diagnostics now and every second after
+     */
+    startDiagnostics() {
+        this.stopDiagnostics();
+        this.renderDiagnostics();
+        this.statsTimer = setInterval(() => this.renderDiagnostics(), 1000);
+    }
+    
+    /**
+     * Stop refreshing the diagnostics panel
+     */
+    stopDiagnostics() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+    }
+    
+    /**
+     * Gather everything we know about the current playback
+     */
+    collectDiagnostics() {
+        const video = this.videoElement;
+        const round = (value, places = 0) => Number.isFinite(value) ? Number(value.toFixed(places)) : null;
+        
+        const diagnostics = {
+            engine: this.engineName,
+            streamType: this.streamType,
+            chain: this.attempts.concat(this.engineName ? [{ engine: this.engineName, reason: 'Playing' }] : []),
+            originalUrl: this.originalUrl,
+            playbackUrl: this.streamUrl,
+            proxied: !!this.streamUrl && this.streamUrl !== this.originalUrl,
+            resolution: video && video.videoWidth ? `${video.videoWidth}x${video.videoHeight}` : null,
+            bitrateKbps: null,
+            bandwidthEstimateKbps: null,
+            bufferSeconds: null,
+            droppedFrames: null,
+            totalFrames: null,
+            latencySeconds: null,
+            mediaInfo: this.mediaInfo,
+            errors: this.errorLog,
+            userAgent: navigator.userAgent,
+            collectedAt: new Date().toISOString()
+        };
+        
+        if (!video) return diagnostics;
+        
+        // Buffered media ahead of the playhead
+        for (let i = 0; i < video.buffered.length; i++) {
+            if (video.buffered.start(i) <= video.currentTime && video.currentTime <= video.buffered.end(i)) {
+                diagnostics.bufferSeconds = round(video.buffered.end(i) - video.currentTime, 1);
+            }
+        }
+        
+        if (typeof video.getVideoPlaybackQuality === 'function') {
+            const quality = video.getVideoPlaybackQuality();
+            diagnostics.droppedFrames = quality.droppedVideoFrames;
+            diagnostics.totalFrames = quality.totalVideoFrames;
+        }
+        
+        // Distance from the live edge for live streams
+        if (video.seekable.length && video.duration === Infinity) {
+            diagnostics.latencySeconds = round(video.seekable.end(video.seekable.length - 1) - video.currentTime, 1);
+        }
+        
+        try {
+            if (this.currentPlayer === 'hls' && this.players.hls) {
+                const hls = this.players.hls;
+                const level = hls.levels[hls.currentLevel];
+                diagnostics.bitrateKbps = level ? round(level.bitrate / 1000) : null;
+                diagnostics.bandwidthEstimateKbps = round(hls.bandwidthEstimate / 1000);
+                diagnostics.latencySeconds = round(hls.latency, 1) ?? diagnostics.latencySeconds;
+            } else if (this.currentPlayer === 'mpegts' && this.players.mpegts) {
+                const info = this.players.mpegts.statisticsInfo || {};
+                diagnostics.bitrateKbps = round(info.speed * 8); // speed is in KB/s
+                diagnostics.droppedFrames = info.droppedFrames ?? diagnostics.droppedFrames;
+                diagnostics.totalFrames = info.decodedFrames ?? diagnostics.totalFrames;
+            } else if (this.currentPlayer === 'videojs' && this.videoJsPlayer) {
+                const vhs = this.videoJsPlayer.tech({ IWillNotUseThisInPlugins: true }).vhs;
+                const media = vhs && vhs.playlists ? vhs.playlists.media() : null;
+                diagnostics.bitrateKbps = media && media.attributes ? round(media.attributes.BANDWIDTH / 1000) : null;
+                diagnostics.bandwidthEstimateKbps = vhs ? round(vhs.systemBandwidth / 1000) : null;
+            }
+        } catch (e) {
+            console.error('Collecting engine stats failed:', e);
+        }
+        
+        return diagnostics;
+    }
+    
+    /**
+     * Draw the diagnostics table
+     */
+    renderDiagnostics() {
+        const table = this.statsElement ? this.statsElement.querySelector('.vid-stats-list') : null;
+        if (!table) return;
+        
+        const stats = this.collectDiagnostics();
+        const value = (val, unit = '') => val === null || val === undefined ? '-' : `${val}${unit}`;
+        const frames = stats.totalFrames ? `${stats.droppedFrames || 0} / ${stats.totalFrames}` : null;
+        const codecs = stats.mediaInfo ? [stats.mediaInfo.videoCodec, stats.mediaInfo.audioCodec].filter(Boolean).join(', ') : null;
+        
+        const rows = [
+            ['Engine', value(stats.engine)],
+            ['Type', value(stats.streamType)],
+            ...stats.chain.map((step, i) => [i === 0 ? 'Chain' : '', `${step.engine}: ${step.reason}`]),
+            ['Original URL', value(stats.originalUrl)],
+            ['Playback URL', value(stats.playbackUrl)],
+            ['Proxied', stats.playbackUrl ? (stats.proxied ? 'Yes' : 'No') : '-'],
+            ['Resolution', value(stats.resolution)],
+            ['Codecs', value(codecs || null)],
+            ['Bitrate', value(stats.bitrateKbps, ' kbps')],
+            ['Bandwidth', value(stats.bandwidthEstimateKbps, ' kbps')],
+            ['Buffer', value(stats.bufferSeconds, ' s')],
+            ['Dropped', value(frames)],
+            ['Latency', value(stats.latencySeconds, ' s')],
+            ['Errors', String(stats.errors.length)]
+        ];
+        
+        table.replaceChildren(...rows.map(([label, text]) => {
+            const tr = document.createElement('tr');
+            [label, text].forEach(cellText => {
+                const td = document.createElement('td');
+                td.textContent = cellText;
+                tr.appendChild(td);
+            });
+            return tr;
+        }));
+    }
+    
+    /**
+     * Put the diagnostics on the clipboard as JSON
+     */
+    copyDiagnostics() {
+        const json = JSON.stringify(this.collectDiagnostics(), null, 2);
+        
+        navigator.clipboard.writeText(json).then(() => {
+            UIkit.notification({ message: 'Diagnostics copied to your clipboard!', status: 'success', pos: 'top-center', timeout: 5000 });
+        }).catch(err => {
+            UIkit.notification({ message: 'Failed to copy: ' + err, status: 'danger', pos: 'top-center', timeout: 5000 });
+        });
+    }
+    
+    /**
+     * The audio and subtitle tracks of whatever engine is playing
+     * 
+     * Returns { audio: [{ index, label, language, active }], subtitle: [...] },
+     * a subtitle index of -1 is "off"
+     */
+    getTracks() {
+        const tracks = { audio: [], subtitle: [] };
+        const hls = this.players.hls;
+        const toList = (list) => Array.from(list || []);
+        
+        if (hls) {
+            tracks.audio = toList(hls.audioTracks).map((track, index) => ({
+                index: index,
+                label: track.name || track.lang || `Track ${index + 1}`,
+                language: track.lang || '',
+                active: index === hls.audioTrack
+            }));
+            tracks.subtitle = toList(hls.subtitleTracks).map((track, index) => ({
+                index: index,
+                label: track.name || track.lang || `Track ${index + 1}`,
+                language: track.lang || '',
+                active: index === hls.subtitleTrack
+            }));
+        } else if (this.engineName === 'videojs' && this.videoJsPlayer) {
+            tracks.audio = toList(this.videoJsPlayer.audioTracks()).map((track, index) => ({
+                index: index,
+                label: track.label || track.language || `Track ${index + 1}`,
+                language: track.language || '',
+                active: track.enabled
+            }));
+            tracks.subtitle = this.getTextTracks(toList(this.videoJsPlayer.textTracks()));
+        } else if (this.videoElement) {
+            tracks.audio = toList(this.videoElement.audioTracks).map((track, index) => ({
+                index: index,
+                label: track.label || track.language || `Track ${index + 1}`,
+                language: track.language || '',
+                active: track.enabled
+            }));
+            tracks.subtitle = this.getTextTracks(toList(this.videoElement.textTracks));
+        }
+        
+        return tracks;
+    }
+    
+    /**
+     * Subtitle and caption text tracks, keeping their index in the full list
+     */
+    getTextTracks(list) {
+        return list
+            .map((track, index) => ({
+                index: index,
+                kind: track.kind,
+                label: track.label || track.language || `Track ${index + 1}`,
+                language: track.language || '',
+                active: track.mode === 'showing'
+            }))
+            .filter(track => track.kind === 'subtitles' || track.kind === 'captions')
+            .map(({ kind, ...track }) => track);
+    }
+    
+    /**
+     * Switch to an audio or subtitle track (subtitle -1 turns them off)
+     * 
+     * Remembers the language so the next stream starts with it
+     */
+    selectTrack(kind, index, remember = true) {
+        const hls = this.players.hls;
+        const selected = this.getTracks()[kind].find(track => track.index === index);
+        
+        if (kind === 'audio') {
+            if (!selected) return false;
+            
+            if (hls) {
+                hls.audioTrack = index;
+            } else {
+                const list = this.engineName === 'videojs' && this.videoJsPlayer
+                    ? this.videoJsPlayer.audioTracks()
+                    : this.videoElement.audioTracks;
+                Array.from(list || []).forEach((track, i) => { track.enabled = i === index; });
+            }
+        } else if (kind === 'subtitle') {
+            if (hls) {
+                hls.subtitleDisplay = index >= 0;
+                hls.subtitleTrack = index;
+            } else {
+                const list = this.engineName === 'videojs' && this.videoJsPlayer
+                    ? this.videoJsPlayer.textTracks()
+                    : this.videoElement.textTracks;
+                Array.from(list || []).forEach((track, i) => {
+                    if (track.kind === 'subtitles' || track.kind === 'captions') {
+                        track.mode = i === index ? 'showing' : 'disabled';
+                    }
+                });
+            }
+        } else {
+            return false;
+        }
+        
+        this.emit('track-changed', {
+            kind: kind,
+            index: index,
+            language: selected ? selected.language || null : null,
+            label: selected ? selected.label : null,
+            automatic: !remember
+        });
+        
+        if (remember) {
+            const prefs = MultiFormatPlayer.loadTrackPrefs();
+            prefs[kind] = selected ? selected.language || null : null;
+            
+            try {
+                localStorage.setItem(MultiFormatPlayer.trackPrefsKey, JSON.stringify(prefs));
+            } catch (e) {
+                console.error('Saving the track preferences failed:', e);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Pick the remembered audio and subtitle languages on a new stream
+     */
+    applyTrackPreferences() {
+        const prefs = MultiFormatPlayer.loadTrackPrefs();
+        const tracks = this.getTracks();
+        
+        // eng and en are the same language as far as we care
+        const matches = (track, language) => {
+            const a = (track.language || '').toLowerCase().split('-')[0];
+            const b = (language || '').toLowerCase().split('-')[0];
+            return a !== '' && b !== '' && (a === b || a.slice(0, 2) === b.slice(0, 2));
+        };
+        
+        if (prefs.audio) {
+            const audio = tracks.audio.find(track => matches(track, prefs.audio));
+            if (audio && !audio.active) this.selectTrack('audio', audio.index, false);
+        }
+        
+        // A null subtitle preference means the user turned them off
+        if ('subtitle' in prefs) {
+            const subtitle = prefs.subtitle ? tracks.subtitle.find(track => matches(track, prefs.subtitle)) : null;
+            if (subtitle) {
+                if (!subtitle.active) this.selectTrack('subtitle', subtitle.index, false);
+            } else if (tracks.subtitle.some(track => track.active)) {
+                this.selectTrack('subtitle', -1, false);
+            }
+        }
+    }
+    
+    /**
+     * Read the track preferences from local storage
+     */
+    static loadTrackPrefs() {
+        try {
+            return JSON.parse(localStorage.getItem(MultiFormatPlayer.trackPrefsKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    /**
+     * Fill the track menu
+     */
+    renderTracks() {
+        if (!this.tracksElement) return;
+        
+        const tracks = this.getTracks();
+        const items = [];
+        
+        const header = (text) => {
+            const li = document.createElement('li');
+            li.className = 'uk-nav-header';
+            li.textContent = text;
+            return li;
+        };
+        const option = (kind, track) => {
+            const li = document.createElement('li');
+            const a = document.createElement('a');
+            li.classList.toggle('uk-active', track.active);
+            a.href = '#';
+            a.className = 'vid-track-option';
+            a.dataset.kind = kind;
+            a.dataset.index = track.index;
+            a.textContent = track.language && track.language !== track.label ? `${track.label} (${track.language})` : track.label;
+            li.appendChild(a);
+            return li;
+        };
+        
+        items.push(header('Audio'));
+        if (tracks.audio.length) {
+            tracks.audio.forEach(track => items.push(option('audio', track)));
+        } else {
+            items.push(option('audio', { index: -1, label: 'Default', language: '', active: true }));
+        }
+        
+        items.push(header('Subtitles'));
+        items.push(option('subtitle', { index: -1, label: 'Off', language: '', active: !tracks.subtitle.some(track => track.active) }));
+        tracks.subtitle.forEach(track => items.push(option('subtitle', track)));
+        
+        this.tracksElement.replaceChildren(...items);
+    }
+    
+    /**
+     * How far back the user can seek on live streams, in seconds
+     */
+    getTimeshiftSeconds() {
+        const minutes = parseInt((window.KPTV_SETTINGS || {}).timeshift_minutes, 10);
+        return minutes > 0 ? minutes * 60 : 0;
+    }
+    
+    /**
+     * Is what is playing a live stream
+     */
+    isLive() {
+        const hls = this.players.hls;
+        
+        if (hls) return typeof hls.liveSyncPosition === 'number';
+        if (this.players.mpegts) return true;
+        
+        return !!this.videoElement && this.videoElement.duration === Infinity;
+    }
+    
+    /**
+     * The newest position we can play on a live stream
+     */
+    getLiveEdge() {
+        const hls = this.players.hls;
+        const video = this.videoElement;
+        
+        // hls.js knows where it wants to sit behind the edge
+        if (hls && typeof hls.liveSyncPosition === 'number') return hls.liveSyncPosition;
+        
+        // mpegts.js only knows what it has buffered
+        const ranges = !this.players.mpegts && video.seekable && video.seekable.length ? video.seekable : video.buffered;
+        return ranges && ranges.length ? ranges.end(ranges.length - 1) : null;
+    }
+    
+    /**
+     * Seconds the user is behind live, 0 when at the edge or not live
+     */
+    getBehindLive() {
+        if (!this.engineName || !this.isLive()) return 0;
+        
+        const edge = this.getLiveEdge();
+        return edge === null ? 0 : Math.max(0, edge - this.videoElement.currentTime);
+    }
+    
+    /**
+     * Show "Live", or how far behind it we are with a jump back
+     */
+    updateLiveIndicator() {
+        if (!this.liveElement) return;
+        
+        if (!this.engineName || !this.isLive()) {
+            this.liveElement.hidden = true;
+            return;
+        }
+        
+        // A few seconds of latency is still live
+        const behind = this.getBehindLive();
+        const isBehind = behind > 10 || this.videoElement.paused;
+        
+        this.liveElement.hidden = false;
+        this.liveElement.classList.toggle('uk-label-danger', !isBehind);
+        this.liveElement.classList.toggle('uk-label-warning', isBehind);
+        this.liveElement.textContent = isBehind ? `-${this.formatDuration(behind)} Go Live` : 'Live';
+    }
+    
+    /**
+     * m:ss or h:mm:ss
+     */
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+    
+    /**
+     * Back to the live edge
+     */
+    jumpToLive() {
+        if (!this.engineName || !this.isLive()) return;
+        
+        const edge = this.getLiveEdge();
+        const video = this.videoElement;
+        
+        if (edge !== null) {
+            // Raw buffers end right at the last frame, stay a touch behind it
+            video.currentTime = this.players.hls ? edge : Math.max(0, edge - 1);
+        }
+        
+        if (video.paused) {
+            video.play().catch(e => console.error('Resuming live failed:', e));
+        }
+        
+        this.updateLiveIndicator();
+    }
+    
+    /**
+     * The user's bandwidth cap in bits per second, 0 for none
+     */
+    getBandwidthCap() {
+        const kbps = parseInt((window.KPTV_SETTINGS || {}).max_bitrate, 10);
+        return kbps > 0 ? kbps * 1000 : 0;
+    }
+    
+    /**
+     * Keep hls.js automatic quality at or under the user's bandwidth cap
+     */
+    applyBandwidthCap(hls) {
+        const cap = this.getBandwidthCap();
+        const levels = hls.levels || [];
+        
+        if (!cap || levels.length < 2) {
+            hls.autoLevelCapping = -1;
+            return;
+        }
+        
+        // The best rendition under the cap, or the smallest one when they are all over it
+        let capped = -1;
+        let smallest = 0;
+        levels.forEach((level, index) => {
+            if (level.bitrate <= cap && (capped < 0 || level.bitrate > levels[capped].bitrate)) capped = index;
+            if (level.bitrate < levels[smallest].bitrate) smallest = index;
+        });
+        
+        hls.autoLevelCapping = capped >= 0 ? capped : smallest;
+        hls.startLevel = hls.autoLevelCapping;
+    }
+    
+    /**
+     * Short label for an HLS rendition, ie: 720p 2800 kbps
+     */
+    getQualityLabel(level) {
+        if (!level) return '';
+        
+        const size = level.height ? `${level.height}p` : (level.name || '');
+        const rate = level.bitrate ? `${Math.round(level.bitrate / 1000)} kbps` : '';
+        return [size, rate].filter(Boolean).join(' ');
+    }
+    
+    /**
+     * Lock an HLS rendition, -1 goes back to automatic
+     */
+    selectQuality(level) {
+        const hls = this.players.hls;
+        if (!hls || !hls.levels || (level >= hls.levels.length)) return false;
+        
+        hls.currentLevel = level;
+        this.updateQualityLabel();
+        this.emit('track-changed', {
+            kind: 'quality',
+            index: level,
+            label: level < 0 ? 'Auto' : this.getQualityLabel(hls.levels[level]),
+            automatic: false
+        });
+        return true;
+    }
+    
+    /**
+     * Show the rendition that is playing in the toolbar
+     */
+    updateQualityLabel() {
+        if (!this.qualityLabel) return;
+        
+        const hls = this.players.hls;
+        const levels = hls && hls.levels ? hls.levels : [];
+        
+        if (levels.length < 2) {
+            this.qualityLabel.textContent = '';
+            return;
+        }
+        
+        const label = this.getQualityLabel(levels[hls.currentLevel]);
+        this.qualityLabel.textContent = hls.autoLevelEnabled ? `Auto${label ? ` (${label})` : ''}` : label;
+    }
+    
+    /**
+     * Fill the quality menu
+     */
+    renderQuality() {
+        if (!this.qualityElement) return;
+        
+        const hls = this.players.hls;
+        const levels = hls && hls.levels ? hls.levels : [];
+        const cap = this.getBandwidthCap();
+        
+        const option = (level, text, active) => {
+            const li = document.createElement('li');
+            const a = document.createElement('a');
+            li.classList.toggle('uk-active', active);
+            a.href = '#';
+            a.className = 'vid-quality-option';
+            a.dataset.level = level;
+            a.textContent = text;
+            li.appendChild(a);
+            return li;
+        };
+        
+        const header = document.createElement('li');
+        header.className = 'uk-nav-header';
+        header.textContent = 'Quality';
+        
+        if (levels.length < 2) {
+            const li = document.createElement('li');
+            li.className = 'uk-text-meta';
+            li.textContent = 'This stream has a single rendition';
+            this.qualityElement.replaceChildren(header, li);
+            return;
+        }
+        
+        // Best first, keeping the hls.js level index
+        const items = levels
+            .map((level, index) => ({ level: level, index: index }))
+            .sort((a, b) => b.level.bitrate - a.level.bitrate)
+            .map(({ level, index }) => option(
+                index,
+                this.getQualityLabel(level) + (cap && level.bitrate > cap ? ' (over your cap)' : ''),
+                !hls.autoLevelEnabled && index === hls.currentLevel
+            ));
+        
+        this.qualityElement.replaceChildren(header, option(-1, cap ? 'Auto (capped)' : 'Auto', hls.autoLevelEnabled), ...items);
+    }
+    
+    /**
+     * Table rows with a playable stream, in display order
+     */
+    getStreamRows() {
+        return Array.from(document.querySelectorAll('tbody tr'))
+            .filter(row => row.querySelector('.play-stream'));
+    }
+    
+    /**
+     * Build the stream metadata from a .play-stream element
+     */
+    getStreamFromElement(element) {
+        const row = element.closest('tr');
+        
+        return {
+            id: element.dataset.streamId || (row ? row.dataset.id : null),
+            url: element.getAttribute('data-stream-url'),
+            name: element.dataset.streamName || '',
+            channel: element.dataset.streamChannel || '',
+            provider: element.dataset.streamProvider || null,
+            type: element.dataset.streamType || null
+        };
+    }
+    
+    /**
+     * Play the stream of a table row
+     */
+    playRow(row) {
+        const link = row ? row.querySelector('.play-stream') : null;
+        if (!link || !link.getAttribute('data-stream-url')) {
+            return false;
+        }
+        
+        const stream = this.getStreamFromElement(link);
+        this.play(stream.url, { useProxy: this.proxyPreference, stream: stream });
+        return true;
+    }
+    
+    /**
+     * Move to the previous (-1) or next (1) stream in the table
+     */
+    async zap(direction) {
+        // Ignore presses while a table page is still loading
+        if (this.zapping) return;
+        this.zapping = true;
+        
+        try {
+            const rows = this.getStreamRows();
+            const currentId = this.currentStream ? String(this.currentStream.id) : null;
+            const index = rows.findIndex(row => row.dataset.id === currentId);
+            let target;
+            
+            if (index === -1) {
+                // Playing something that is not on this page, start from its edge
+                target = direction > 0 ? rows[0] : rows[rows.length - 1];
+            } else if (rows[index + direction]) {
+                target = rows[index + direction];
+            } else {
+                target = await this.loadAdjacentPage(direction);
+            }
+            
+            if (!this.playRow(target)) {
+                this.showOsd('No more streams');
+            }
+        } finally {
+            this.zapping = false;
+        }
+    }
+    
+    /**
+     * Page the table forward or back (wrapping around) and return the row to play
+     */
+    async loadAdjacentPage(direction) {
+        const table = window.DataTables;
+        const edgeRow = () => {
+            const rows = this.getStreamRows();
+            return direction > 0 ? rows[0] : rows[rows.length - 1];
+        };
+        
+        // Single page (or no paging component), wrap around this page
+        if (!table || typeof table.goToPage !== 'function' || !(table.totalPages > 1)) {
+            return edgeRow();
+        }
+        
+        const total = table.totalPages;
+        const page = ((table.currentPage - 1 + direction + total) % total) + 1;
+        
+        this.showOsd(`Loading page ${page}...`, 0);
+        const rendered = this.waitForTableRender();
+        table.goToPage(page);
+        await rendered;
+        
+        return edgeRow();
+    }
+    
+    /**
+     * Resolve once the table has redrawn its rows (or the timeout passes)
+     */
+    waitForTableRender(timeout = 10000) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                document.removeEventListener('datatables:rendered', done);
+                resolve();
+            };
+            const timer = setTimeout(done, timeout);
+            document.addEventListener('datatables:rendered', done);
+        });
+    }
+    
+    /**
+     * Collect typed digits and zap once the user stops typing
+     */
+    queueChannelDigit(digit) {
+        clearTimeout(this.channelInputTimer);
+        this.channelInput = (this.channelInput + digit).slice(-5);
+        this.showOsd(`Ch ${this.channelInput}_`, 0);
+        
+        this.channelInputTimer = setTimeout(() => {
+            const channel = String(parseInt(this.channelInput, 10));
+            this.channelInput = '';
+            this.zapToChannel(channel);
+        }, 1500);
+    }
+    
+    /**
+     * Play the stream whose s_channel matches the typed number
+     */
+    async zapToChannel(channel) {
+        const sameChannel = value => String(parseInt(value, 10)) === channel;
+        
+        // Look on the current page first
+        const row = this.getStreamRows().find(row => {
+            return sameChannel(row.querySelector('.play-stream').dataset.streamChannel);
+        });
+        
+        if (row) {
+            this.playRow(row);
+            return;
+        }
+        
+        const stream = await this.findChannelStream(channel, sameChannel);
+        if (stream) {
+            this.play(stream.url, { useProxy: this.proxyPreference, stream: stream });
+        } else {
+            this.showOsd(`Channel ${channel} not found`);
+        }
+    }
+    
+    /**
+     * Search the whole table for a channel number through the DataTables endpoint
+     */
+    async findChannelStream(channel, sameChannel) {
+        const table = window.DataTables;
+        if (!table) return null;
+        
+        const params = new URLSearchParams({
+            action: 'fetch_data',
+            table: table.tableName,
+            page: 1,
+            per_page: 100,
+            search: channel,
+            search_column: 's_channel',
+            sort_column: table.sortColumn,
+            sort_direction: table.sortDirection
+        });
+        
+        try {
+            const response = await fetch('?' + params.toString());
+            const data = await response.json();
+            const row = (data.data || []).find(rec => sameChannel(rec.s_channel));
+            
+            if (!row || !row.s_stream_uri) return null;
+            
+            return {
+                id: row['s.id'] || row.id,
+                url: row.s_stream_uri,
+                name: row.s_orig_name || row.s_name || '',
+                channel: row.s_channel,
+                provider: row.p_id || null,
+                type: row.s_type_id ?? null
+            };
+        } catch (e) {
+            console.error('Channel lookup failed:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Add small delay between player attempts to reduce server load
+     * 
+     * Resolves early when signal aborts
+     */
+    async delay(ms = 500, signal = null) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    
+    /**
+     * Try .ts to .m3u8 fallback for streams that might have HLS equivalents
+     */
+    async tryTsToM3u8Fallback(originalUrl, useProxy, timeout = 5000, signal = null) {
+        // Only try this for .ts URLs
+        if (!originalUrl.toLowerCase().includes('.ts')) {
+            this.lastFailure = 'Not a .ts URL';
+            return false;
+        }
+        
+        console.log('Trying .ts to .m3u8 fallback...');
+        
+        // Replace .ts with .m3u8
+        let m3u8Url = originalUrl.replace(/\.ts$/i, '.m3u8');
+        
+        if (m3u8Url === originalUrl) {
+            // URL didn't end with .ts, try replacing .ts anywhere in the URL
+            m3u8Url = originalUrl.replace(/\.ts/gi, '.m3u8');
+            if (m3u8Url === originalUrl) {
+                this.lastFailure = 'No .m3u8 equivalent';
+                return false; // No .ts found to replace
+            }
+        }
+        
+        const streamUrl = useProxy ? this.getProxiedUrl(m3u8Url) : m3u8Url;
+        console.log(`Trying HLS equivalent: ${m3u8Url}`);
+        
+        // Try HLS.js with the .m3u8 equivalent
+        return await this.tryHLS(streamUrl, timeout, signal);
+    }
+    
+    /**
+     * Run one engine attempt for a play session
+     * 
+     * The attempt settles once: when setup calls done() or fail(), when the timeout
+     * runs out, or as soon as the session is aborted. Teardowns registered by setup
+     * run when it settles without playing, so the timers and listeners of an old
+     * attempt can never reach the player of a newer session
+     * 
+     * setup(attempt) gets { done(success), fail(reason, network), teardown(fn), active() },
+     * network marks a failure the proxy can get around,
+     * done() and fail() return false when the attempt had already settled
+     */
+    runAttempt(signal, timeout, setup) {
+        return new Promise((resolve) => {
+            const teardowns = [];
+            let settled = false;
+            let timer = null;
+            
+            const onAbort = () => done(false);
+            const done = (success) => {
+                if (settled) return false;
+                settled = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                
+                if (!success) {
+                    teardowns.forEach(teardown => {
+                        try {
+                            teardown();
+                        } catch (e) {
+                            console.error('Error tearing down an attempt:', e);
+                        }
+                    });
+                }
+                
+                resolve(success);
+                return true;
+            };
+            
+            const attempt = {
+                done: done,
+                fail: (reason, network = false) => {
+                    if (settled) return false;
+                    this.lastFailure = reason;
+                    this.lastFailureNetwork = network;
+                    return done(false);
+                },
+                teardown: (fn) => teardowns.push(fn),
+                active: () => !settled
+            };
+            
+            if (signal && signal.aborted) {
+                resolve(false);
+                return;
+            }
+            
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            timer = setTimeout(() => done(false), timeout);
+            
+            try {
+                setup(attempt);
+            } catch (error) {
+                console.error('Engine initialization failed:', error);
+                attempt.fail(`Initialization failed: ${error.message}`);
+            }
+        });
+    }
+    
+    /**
+     * Try HLS.js player
+     */
+    async tryHLS(url, timeout = 5000, signal = null) {
+        if (!window.Hls || !Hls.isSupported()) {
+            console.log('HLS.js not supported');
+            this.lastFailure = 'HLS.js not supported';
+            return false;
+        }
+        
+        return this.runAttempt(signal, timeout, (attempt) => {
+            console.log('Trying HLS.js...');
+            
+            // Keep what has played so live streams can be paused and seeked back
+            const timeshift = this.getTimeshiftSeconds();
+            
+            const hls = new Hls({
+                debug: false,
+                enableWorker: true,
+                lowLatencyMode: true,
+                backBufferLength: timeshift || 90
+            });
+            
+            this.players.hls = hls;
+            
+            // Only ever destroy our own instance, a newer session may own this.players.hls
+            attempt.teardown(() => {
+                if (this.players.hls === hls) this.safeDestroyHLS();
+            });
+            
+            hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+                if (!attempt.active()) return;
+                console.log('HLS.js: Manifest parsed successfully');
+                
+                const level = (data.levels || [])[data.firstLevel || 0];
+                if (level) {
+                    this.mediaInfo = {
+                        width: level.width,
+                        height: level.height,
+                        videoCodec: level.videoCodec,
+                        audioCodec: level.audioCodec
+                    };
+                }
+                
+                this.applyBandwidthCap(hls);
+                
+                this.videoElement.play().then(() => {
+                    if (attempt.done(true)) {
+                        this.currentPlayer = 'hls';
+                        this.hideLoadingModal(); // Hide loading when video actually starts
+                    }
+                }).catch(e => {
+                    console.error('HLS.js: Play failed', e);
+                    attempt.fail(`Play failed: ${e.message}`);
+                });
+            });
+            
+            hls.on(Hls.Events.LEVEL_SWITCHED, () => this.updateQualityLabel());
+            
+            hls.on(Hls.Events.ERROR, (event, data) => {
+                // Left over from an attempt that has been torn down
+                if (!attempt.active() && this.players.hls !== hls) return;
+                
+                console.error('HLS.js error:', data);
+                this.logPlayerError('hls', { type: data.type, details: data.details, fatal: data.fatal });
+                // No HTTP status at all means the request was blocked before it got an answer
+                const blocked = MultiFormatPlayer.blockedLoadDetails.includes(data.details) && !(data.response && data.response.code);
+                if (!data.fatal || attempt.fail(data.details || data.type, blocked)) return;
+                
+                // It had already started playing
+                this.lastFailure = data.details || data.type;
+                this.safeDestroyHLS();
+                this.handlePlaybackFailure(this.lastFailure);
+            });
+            
+            hls.loadSource(url);
+            hls.attachMedia(this.videoElement);
+        });
+    }
+    
+    /**
+     * Try mpegts.js player - FIXED VERSION
+     */
+    async tryMpegTS(url, timeout = 5000, signal = null) {
+        if (!window.mpegts || !mpegts.isSupported()) {
+            console.log('mpegts.js not supported');
+            this.lastFailure = 'mpegts.js not supported';
+            return false;
+        }
+        
+        return this.runAttempt(signal, timeout, (attempt) => {
+            console.log('Trying mpegts.js...');
+            
+            const timeshift = this.getTimeshiftSeconds();
+            const config = {
+                enableStashBuffer: false,
+                stashInitialSize: 128,
+                enableWorker: true,
+                lazyLoadMaxDuration: 3 * 60,
+                seekType: 'range'
+            };
+            
+            // Keep the played part of the buffer around to seek back into
+            if (timeshift) {
+                Object.assign(config, {
+                    enableStashBuffer: true,
+                    liveBufferLatencyChasing: false,
+                    autoCleanupSourceBuffer: true,
+                    autoCleanupMaxBackwardDuration: timeshift,
+                    autoCleanupMinBackwardDuration: Math.max(30, timeshift - 30)
+                });
+            }
+            
+            const player = mpegts.createPlayer({
+                type: 'mse',
+                isLive: true,
+                url: url,
+                hasAudio: true,
+                hasVideo: true,
+            }, config);
+            
+            this.players.mpegts = player;
+            
+            // Only ever clean up our own instance, a newer session may own this.players.mpegts
+            attempt.teardown(() => {
+                if (this.players.mpegts === player) {
+                    this.safePauseMpegTS(); // Use safe cleanup
+                    this.players.mpegts = null; // Clear reference
+                }
+            });
+            
+            player.on(mpegts.Events.ERROR, (type, detail, info) => {
+                // Left over from an attempt that has been torn down
+                if (!attempt.active() && this.players.mpegts !== player) return;
+                
+                console.error('mpegts.js error:', type, detail);
+                this.logPlayerError('mpegts', { type: type, details: detail, fatal: true });
+                
+                const reason = [type, detail].filter(Boolean).join(': ');
+                
+                // A fetch that threw (TypeError: Failed to fetch), not an HTTP error status
+                const blocked = detail === mpegts.ErrorDetails.NETWORK_EXCEPTION || /Failed to fetch/i.test((info && info.msg) || '');
+                if (attempt.fail(reason, blocked)) return;
+                
+                // It had already started playing
+                this.lastFailure = reason;
+                this.safePauseMpegTS();
+                this.players.mpegts = null;
+                this.handlePlaybackFailure(reason);
+            });
+            
+            player.on(mpegts.Events.MEDIA_INFO, (mediaInfo) => {
+                if (!attempt.active()) return;
+                console.log('mpegts.js: Media info received', mediaInfo);
+                this.mediaInfo = {
+                    width: mediaInfo.width,
+                    height: mediaInfo.height,
+                    videoCodec: mediaInfo.videoCodec,
+                    audioCodec: mediaInfo.audioCodec
+                };
+            });
+            
+            player.on(mpegts.Events.LOADSTART, () => {
+                if (!attempt.active()) return;
+                console.log('mpegts.js: Load started');
+                this.videoElement.play().then(() => {
+                    if (attempt.done(true)) {
+                        this.currentPlayer = 'mpegts';
+                        this.hideLoadingModal(); // Hide loading when video actually starts
+                    }
+                }).catch(e => {
+                    console.error('mpegts.js: Play failed', e);
+                    attempt.fail(`Play failed: ${e.message}`);
+                });
+            });
+            
+            player.attachMediaElement(this.videoElement);
+            player.load();
+            player.play();
+        });
+    }
+    
+    /**
+     * Try Video.js player
+     */
+    async tryVideoJS(url, timeout = 5000, signal = null) {
+        if (!window.videojs) {
+            console.log('Video.js not available');
+            this.lastFailure = 'Video.js not available';
+            return false;
+        }
+        
+        return this.runAttempt(signal, timeout, (attempt) => {
+            console.log('Trying Video.js...');
+            
+            if (!this.videoJsPlayer) {
+                this.videoJsPlayer = videojs(this.videoElement.id, {
+                    controls: true,
+                    autoplay: false,
+                    preload: 'auto',
+                    fluid: true,
+                    liveui: true,
+                    html5: {
+                        vhs: {
+                            overrideNative: true,
+                            smoothQualityChange: true,
+                            fastQualityChange: true
+                        }
+                    }
+                });
+            }
+            
+            const vjs = this.videoJsPlayer;
+            this.players.videojs = vjs;
+            
+            const onMetadata = () => {
+                console.log('Video.js: Metadata loaded');
+                vjs.play().then(() => {
+                    if (attempt.done(true)) {
+                        this.currentPlayer = 'videojs';
+                        this.hideLoadingModal(); // Hide loading when video actually starts
+                    }
+                }).catch(e => {
+                    console.error('Video.js: Play failed', e);
+                    attempt.fail(`Play failed: ${e.message}`);
+                });
+            };
+            
+            const onError = () => {
+                console.error('Video.js: Error loading');
+                const error = vjs.error();
+                this.logPlayerError('videojs', { type: error ? error.code : null, details: error ? error.message : null, fatal: true });
+                attempt.fail(error ? error.message : 'Error loading', MultiFormatPlayer.isMediaNetworkError(error, url));
+            };
+            
+            // The Video.js player outlives the attempt, so take our listeners back off it
+            attempt.teardown(() => {
+                vjs.off('loadedmetadata', onMetadata);
+                vjs.off('error', onError);
+            });
+            
+            vjs.ready(() => {
+                if (!attempt.active()) return;
+                
+                vjs.src({
+                    src: url,
+                    type: this.getVideoJsType(url, this.streamType)
+                });
+                
+                vjs.one('loadedmetadata', onMetadata);
+                vjs.one('error', onError);
+            });
+        });
+    }
+    
+    /**
+     * Try native HTML5 video
+     */
+    async tryNative(url, timeout = 5000, signal = null) {
+        // Don't try native for MPEG-TS files
+        if (this.detectStreamType(url) === 'mpegts') {
+            console.log('Skipping native player for MPEG-TS format');
+            this.lastFailure = 'MPEG-TS is not supported natively';
+            return false;
+        }
+        
+        return this.runAttempt(signal, timeout, (attempt) => {
+            console.log('Trying native HTML5 video...');
+            
+            if (this.videoJsPlayer) {
+                this.videoJsPlayer.dispose();
+                this.videoJsPlayer = null;
+                
+                // Check if video element still has a parent
+                const parent = this.videoElement.parentNode;
+                if (parent) {
+                    const newVideo = document.createElement('video');
+                    newVideo.id = this.videoElement.id;
+                    newVideo.className = this.videoElement.className;
+                    newVideo.controls = true;
+                    newVideo.muted = this.videoElement.muted;
+                    newVideo.width = 800;
+                    newVideo.height = 450;
+                    parent.replaceChild(newVideo, this.videoElement);
+                    this.videoElement = newVideo;
+                } else {
+                    // Video element was removed, try to find it again or recreate
+                    const originalId = this.videoElement.id;
+                    this.videoElement = document.getElementById(originalId);
+                    
+                    if (!this.videoElement) {
+                        console.error('Native player: Video element not found');
+                        attempt.fail('Video element not found');
+                        return;
+                    }
+                }
+            }
+            
+            const video = this.videoElement;
+            video.src = url;
+            
+            const playHandler = () => {
+                console.log('Native player: Playing');
+                removeListeners();
+                if (attempt.done(true)) {
+                    this.currentPlayer = 'native';
+                    this.hideLoadingModal(); // Hide loading when video actually starts
+                }
+            };
+            
+            const errorHandler = () => {
+                console.error('Native player: Error');
+                removeListeners();
+                const error = video.error;
+                this.logPlayerError('native', { type: error ? error.code : null, details: error ? error.message : null, fatal: true });
+                attempt.fail(error && error.message ? error.message : 'Error loading', MultiFormatPlayer.isMediaNetworkError(error, url));
+            };
+            
+            const removeListeners = () => {
+                video.removeEventListener('canplay', playHandler);
+                video.removeEventListener('error', errorHandler);
+            };
+            
+            attempt.teardown(removeListeners);
+            
+            video.addEventListener('canplay', playHandler, { once: true });
+            video.addEventListener('error', errorHandler, { once: true });
+            
+            video.load();
+        });
+    }
+    
+    /**
+     * Get Video.js type from URL - IMPROVED VERSION
+     */
+    getVideoJsType(url, streamType = null) {
+        const lower = url.toLowerCase();
+        
+        // Sniffed types win for URLs without an extension
+        if (streamType === 'dash') return 'application/dash+xml';
+        if (streamType === 'video' && !lower.match(/\.(mp4|webm|ogg)/)) return 'video/mp4';
+        
+        if (lower.includes('.m3u8')) return 'application/x-mpegURL';
+        if (lower.includes('.mp4')) return 'video/mp4';
+        if (lower.includes('.webm')) return 'video/webm';
+        if (lower.includes('.ogg')) return 'video/ogg';
+        if (lower.includes('.mpd')) return 'application/dash+xml';
+        
+        // For .ts files, try HLS type first - Video.js can sometimes handle them
+        if (lower.includes('.ts')) return 'application/x-mpegURL';
+        
+        return 'application/x-mpegURL'; // Default to HLS
+    }
+    
+    /**
+     * Safe cleanup for HLS.js
+     */
+    safeDestroyHLS() {
+        if (this.players.hls) {
+            try {
+                this.players.hls.destroy();
+            } catch (e) {
+                console.error('Error destroying HLS player:', e);
+            }
+            this.players.hls = null;
+        }
+    }
+    
+    /**
+     * Safe cleanup for mpegts.js - FIXED VERSION
+     */
+    safePauseMpegTS() {
+        if (this.players.mpegts) {
+            try {
+                // Check if player has the methods before calling them
+                if (typeof this.players.mpegts.pause === 'function') {
+                    this.players.mpegts.pause();
+                }
+                if (typeof this.players.mpegts.unload === 'function') {
+                    this.players.mpegts.unload();
+                }
+                if (typeof this.players.mpegts.detachMediaElement === 'function') {
+                    this.players.mpegts.detachMediaElement();
+                }
+                if (typeof this.players.mpegts.destroy === 'function') {
+                    this.players.mpegts.destroy();
+                }
+            } catch (e) {
+                console.error('Error cleaning up mpegts player:', e);
+            }
+        }
+    }
+    
+    /**
+     * Show fallback modal with VLC option
+     */
+    showFallbackModal() {
+        console.error('All players failed');
+        
+        const notes = ['All web players failed to load this stream.'];
+        
+        if (this.detectStreamType(this.originalUrl) === 'mpegts') {
+            notes.push('This appears to be an MPEG-TS stream, which requires special player support.');
+        }
+        
+        this.showHandoff(this.currentStream || { url: this.originalUrl, name: '' }, 'Unable to Play Stream', notes);
+    }
+    
+    /**
+     * Ways to open a stream outside the browser
+     * 
+     * Returns { m3u, strm, deepLink, deepLinkLabel }, the files are blob URLs the caller revokes
+     */
+    getHandoffLinks(stream) {
+        const url = stream.url.replace(/[\r\n]+/g, '');
+        const name = (stream.name || 'Stream').replace(/[\r\n]+/g, ' ');
+        const file = (type, text) => URL.createObjectURL(new Blob([text], { type: type }));
+        const links = {
+            m3u: file('audio/x-mpegurl', `#EXTM3U\n#EXTINF:-1,${name}\n${url}\n`),
+            strm: file('text/plain', `${url}\n`),
+            deepLink: null,
+            deepLinkLabel: null
+        };
+        
+        // Android hands intents to VLC, iOS and macOS VLC register vlc://
+        const agent = navigator.userAgent || '';
+        const match = /^(https?|rtmp|rtsp|udp):\/\/(.+)$/i.exec(url);
+        
+        if (/Android/i.test(agent) && match) {
+            links.deepLink = `intent://${match[2]}#Intent;scheme=${match[1].toLowerCase()};type=video/*;package=org.videolan.vlc;end`;
+            links.deepLinkLabel = 'Open in VLC (Android)';
+        } else if (/iPhone|iPad|iPod|Macintosh/i.test(agent)) {
+            links.deepLink = `vlc://${url}`;
+            links.deepLinkLabel = 'Open in VLC';
+        }
+        
+        return links;
+    }
+    
+    /**
+     * The external player menu: playlist files, a VLC deep link and a QR code
+     * 
+     * Everything is set through the DOM so the URL and name can't inject markup
+     */
+    showHandoff(stream, title = 'Open in an External Player', notes = []) {
+        if (!stream || !stream.url) return;
+        
+        const links = this.getHandoffLinks(stream);
+        const base = (stream.name || 'stream').replace(/[^\w\- .]+/g, '_').trim().slice(0, 80) || 'stream';
+        const el = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text) node.textContent = text;
+            return node;
+        };
+        const button = (text, icon, href, attrs = {}) => {
+            const a = el('a', 'uk-button uk-button-default uk-button-small uk-margin-small-right uk-margin-small-bottom', text + ' ');
+            const i = el('span');
+            i.setAttribute('uk-icon', `icon: ${icon}`);
+            a.appendChild(i);
+            a.setAttribute('href', href);
+            Object.entries(attrs).forEach(([key, value]) => a.setAttribute(key, value));
+            return a;
+        };
+        
+        const body = el('div', 'uk-text-center vid-handoff');
+        body.appendChild(el('h3', 'uk-text-center', title));
+        notes.forEach(note => body.appendChild(el('p', '', note)));
+        
+        if (stream.name) {
+            body.appendChild(el('p', 'uk-text-bold uk-text-truncate', stream.name));
+        }
+        
+        const input = el('input', 'uk-input uk-margin-small-bottom');
+        input.type = 'text';
+        input.readOnly = true;
+        input.value = stream.url;
+        body.appendChild(input);
+        
+        const buttons = el('div', 'uk-margin-small');
+        buttons.appendChild(button('Copy URL', 'copy', stream.url, { class: 'uk-button uk-button-default uk-button-small uk-margin-small-right uk-margin-small-bottom copy-link' }));
+        buttons.appendChild(button('.m3u', 'download', links.m3u, { download: `${base}.m3u` }));
+        buttons.appendChild(button('.strm', 'download', links.strm, { download: `${base}.strm` }));
+        if (links.deepLink) {
+            buttons.appendChild(button(links.deepLinkLabel, 'play-circle', links.deepLink));
+        }
+        body.appendChild(buttons);
+        
+        // Scan it on a phone or TV box
+        if (typeof window.qrcode === 'function') {
+            try {
+                const qr = qrcode(0, 'M');
+                qr.addData(stream.url);
+                qr.make();
+                
+                const img = el('img', 'vid-handoff-qr');
+                img.src = qr.createDataURL(4, 8);
+                img.alt = 'QR code for the stream URL';
+                body.appendChild(img);
+            } catch (e) {
+                body.appendChild(el('p', 'uk-text-meta', 'This URL is too long for a QR code.'));
+            }
+        }
+        
+        body.appendChild(el('p', 'uk-text-meta', 'In VLC: Media → Open Network Stream, or open a downloaded .m3u file.'));
+        
+        const dialog = UIkit.modal.dialog('<div class="uk-modal-body"><button class="uk-modal-close-default" type="button" uk-close></button></div>');
+        dialog.$el.querySelector('.uk-modal-body').appendChild(body);
+        
+        UIkit.util.on(dialog.$el, 'hidden', () => {
+            URL.revokeObjectURL(links.m3u);
+            URL.revokeObjectURL(links.strm);
+        });
+    }
+    
+    /**
+     * Clean up all players - FIXED VERSION
+     */
+    cleanup() {
+        console.log('Cleaning up players...');
+        
+        this.stopWatchdog();
+        
+        // DON'T hide loading modal here - let it stay until success/failure
+        
+        // Clean HLS.js
+        this.safeDestroyHLS();
+        
+        // Clean mpegts.js with safe cleanup
+        this.safePauseMpegTS();
+        this.players.mpegts = null;
+        
+        // Clean Video.js
+        if (this.videoJsPlayer) {
+            try {
+                this.videoJsPlayer.pause();
+                this.videoJsPlayer.reset();
+            } catch (e) {
+                console.error('Error cleaning up Video.js:', e);
+            }
+        }
+        
+        // Clean up engines registered from outside
+        MultiFormatPlayer.engines.forEach(engine => {
+            if (typeof engine.destroy === 'function') {
+                try {
+                    engine.destroy(this);
+                } catch (e) {
+                    console.error(`Error cleaning up ${engine.name}:`, e);
+                }
+            }
+        });
+        
+        // Reset native video
+        try {
+            if (this.videoElement && typeof this.videoElement.load === 'function') {
+                this.videoElement.src = '';
+                this.videoElement.load();
+            }
+        } catch (e) {
+            console.error('Error resetting native video:', e);
+        }
+        
+        this.currentPlayer = null;
+        this.engineName = null;
+        this.updateQualityLabel();
+        this.updateLiveIndicator();
+    }
+    
+    /**
+     * Stop playback and close modal
+     */
+    stop() {
+        this.endSession();
+        
+        if (this.docked) {
+            this.restoreStage();
+        }
+        
+        this.cleanup();
+        this.hideLoadingModal();
+        if (this.modal) {
+            this.modal.hide();
+        }
+    }
+}
+
+// Built-in engines, lower numbers are tried first for each stream type
+MultiFormatPlayer.registerEngine({
+    name: 'hls',
+    types: { hls: 10, unknown: 10 },
+    attempt: (player, url, context) => player.tryHLS(url, context.timeout, context.signal)
+});
+
+MultiFormatPlayer.registerEngine({
+    name: 'mpegts',
+    types: { mpegts: 10, unknown: 20 },
+    attempt: (player, url, context) => player.tryMpegTS(url, context.timeout, context.signal)
+});
+
+// Many providers serve the same channel as HLS when .ts is swapped for .m3u8
+MultiFormatPlayer.registerEngine({
+    name: 'hls-from-ts',
+    types: { mpegts: 20, unknown: 30 },
+    canHandle: (url) => url.toLowerCase().includes('.ts'),
+    attempt: (player, url, context) => player.tryTsToM3u8Fallback(context.originalUrl, context.useProxy, context.timeout, context.signal)
+});
+
+MultiFormatPlayer.registerEngine({
+    name: 'videojs',
+    types: { hls: 20, mpegts: 30, video: 20, dash: 10, unknown: 40 },
+    attempt: (player, url, context) => player.tryVideoJS(url, context.timeout, context.signal)
+});
+
+MultiFormatPlayer.registerEngine({
+    name: 'native',
+    types: { hls: 30, video: 10, unknown: 50 },
+    attempt: (player, url, context) => player.tryNative(url, context.timeout, context.signal)
+});
+
+// Initialize the player when DOM is ready
+let multiPlayer;
+
+document.addEventListener('DOMContentLoaded', function() {
+    multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
+    
+    // Stream health, a reconnect is the same play so it only counts once
+    multiPlayer.addEventListener('playing', function (e) {
+        if (!e.detail.reconnected) reportPlayback(e.detail, true);
+    });
+    multiPlayer.addEventListener('failed', function (e) {
+        reportPlayback(e.detail, false);
+    });
+    
+    // A docked player keeps playing until its own close button
+    UIkit.util.on('#vid_modal', 'hidden', function () {
+        if (multiPlayer && !multiPlayer.docked) {
+            multiPlayer.cleanup();
+        }
+    });
+    
+    // Keep our place when the page goes away mid-episode
+    window.addEventListener('pagehide', function () {
+        if (multiPlayer) {
+            multiPlayer.saveProgress();
+        }
+    });
+});
+
+/**
+ * Play a stream in the modal player, useProxy true/false forces the connection,
+ * null leaves it to the user's setting
+ */
+function playStream(url, useProxy = null, stream = null) {
+    if (!multiPlayer) {
+        multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
+    }
+    
+    multiPlayer.play(url, { useProxy: useProxy, stream: stream });
+}
+
+/**
+ * Tell the server a stream played or failed, for its health counters
+ */
+async function reportPlayback(detail, success) {
+    if (!detail.streamId) return;
+    
+    const reason = success ? '' : (detail.reason || (detail.attempts || [])
+        .map(attempt => `${attempt.engine}: ${attempt.reason}`)
+        .join('; ') || 'No engine could play it');
+    
+    try {
+        const response = await fetch('/player/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: detail.streamId, success: success, reason: reason })
+        });
+        const data = await response.json();
+        
+        if (data.success && data.data.deactivated) {
+            UIkit.notification({ message: 'This stream kept failing and has been deactivated, see Missing Streams', status: 'warning', pos: 'top-center', timeout: 5000 });
+        }
+    } catch (e) {
+        console.error('Reporting playback failed:', e);
+    }
+}
+
+/**
+ * Send a snapshot data URL to be saved as a stream's logo
+ */
+async function saveSnapshot(id, image) {
+    try {
+        const response = await fetch('/player/snapshot', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: id, image: image })
+        });
+        return await response.json();
+    } catch (e) {
+        console.error(`Saving the snapshot for stream ${id} failed:`, e);
+        return { success: false, message: 'Failed to save the snapshot.' };
+    }
+}
+
+let snapshotRunning = false;
+
+/**
+ * Grab a logo for each checked stream that doesn't have one, one at a time
+ */
+async function snapshotSelectedStreams() {
+    const table = window.DataTables;
+    const rows = window.DataTablesRowData || {};
+    const ids = table ? Array.from(table.selectedIds).filter(id => rows[id] && rows[id].s_stream_uri && !rows[id].s_tvg_logo) : [];
+    
+    if (ids.length === 0) {
+        UIkit.notification({ message: 'None of the selected streams are missing a logo', status: 'warning', pos: 'top-center', timeout: 5000 });
+        return;
+    }
+    
+    if (snapshotRunning) {
+        UIkit.notification({ message: 'Snapshots are already being taken', status: 'warning', pos: 'top-center', timeout: 5000 });
+        return;
+    }
+    
+    snapshotRunning = true;
+    const totals = { saved: 0, skipped: 0 };
+    
+    UIkit.notification({ message: `Taking snapshots of ${ids.length} stream(s)...`, status: 'primary', pos: 'top-center', timeout: 5000 });
+    
+    try {
+        for (const id of ids) {
+            const image = await MultiFormatPlayer.snapshot(rows[id].s_stream_uri);
+            const result = image ? await saveSnapshot(id, image) : { success: false };
+            result.success ? totals.saved++ : totals.skipped++;
+        }
+    } finally {
+        snapshotRunning = false;
+    }
+    
+    UIkit.notification({
+        message: `Snapshots finished: ${totals.saved} saved` + (totals.skipped ? `, ${totals.skipped} skipped (would not play or only blank frames)` : ''),
+        status: totals.skipped ? 'warning' : 'success',
+        pos: 'top-center',
+        timeout: 5000
+    });
+    
+    table.loadData();
+}
+
+let probeRunning = false;
+
+/**
+ * Probe the checked streams a few at a time and save each report to its stream
+ */
+async function probeSelectedStreams(concurrency = 2) {
+    const table = window.DataTables;
+    const ids = table ? Array.from(table.selectedIds) : [];
+    
+    if (ids.length === 0) {
+        UIkit.notification({ message: 'No records selected', status: 'warning', pos: 'top-center', timeout: 5000 });
+        return;
+    }
+    
+    if (probeRunning) {
+        UIkit.notification({ message: 'A probe is already running', status: 'warning', pos: 'top-center', timeout: 5000 });
+        return;
+    }
+    
+    probeRunning = true;
+    const queue = ids.slice();
+    const totals = { playable: 0, dead: 0, failed: 0 };
+    
+    UIkit.notification({ message: `Probing ${ids.length} stream(s)...`, status: 'primary', pos: 'top-center', timeout: 5000 });
+    
+    const worker = async () => {
+        while (queue.length) {
+            const id = queue.shift();
+            const row = (window.DataTablesRowData || {})[id] || {};
+            
+            if (!row.s_stream_uri) {
+                totals.failed++;
+                continue;
+            }
+            
+            const report = await MultiFormatPlayer.probe(row.s_stream_uri);
+            report.success ? totals.playable++ : totals.dead++;
+            
+            try {
+                const response = await fetch('/player/probe', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ id: id, report: report })
+                });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.message);
+            } catch (e) {
+                console.error(`Saving probe for stream ${id} failed:`, e);
+                totals.failed++;
+            }
+        }
+    };
+    
+    try {
+        await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+    } finally {
+        probeRunning = false;
+    }
+    
+    UIkit.notification({
+        message: `Probe finished: ${totals.playable} playable, ${totals.dead} dead` + (totals.failed ? `, ${totals.failed} not saved` : ''),
+        status: totals.dead || totals.failed ? 'warning' : 'success',
+        pos: 'top-center',
+        timeout: 5000
+    });
+    
+    table.loadData();
+}
+
+/**
+ * Several streams at once in a 2x2 or 1+3 grid, each tile with its own headless player
+ */
+class MultiViewGrid {
+    constructor(modalId = 'vid_grid_modal') {
+        this.modalElement = document.getElementById(modalId);
+        this.modal = UIkit.modal(`#${modalId}`);
+        this.gridElement = this.modalElement.querySelector('.vid-grid');
+        this.tiles = []; // { element, label, player, stream }
+        this.focusedTile = null;
+        this.tileCount = 0;
+        this.openToken = 0; // Bumped on close so tiles still starting up know to stop
+        
+        this.bindControls();
+    }
+    
+    /**
+     * Check the streams against the provider connection limits and open the grid
+     */
+    async open(ids) {
+        let data;
+        
+        try {
+            const response = await fetch('/player/multiview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: ids })
+            });
+            data = await response.json();
+        } catch (e) {
+            console.error('Loading the multi-view streams failed:', e);
+            data = { success: false, message: 'Failed to load the streams.' };
+        }
+        
+        if (!data.success) {
+            UIkit.notification({ message: data.message, status: 'warning', pos: 'top-center', timeout: 5000 });
+            return;
+        }
+        
+        // One player at a time per connection, so the single player goes first
+        if (multiPlayer && multiPlayer.isModalOpen()) {
+            multiPlayer.stop();
+        }
+        
+        this.close();
+        const token = this.openToken;
+        
+        data.data.streams.forEach(stream => this.addTile(stream));
+        this.setLayout(this.gridElement.dataset.layout || 'quad');
+        this.focus(this.tiles[0]);
+        this.modal.show();
+        
+        await Promise.all(this.tiles.map(tile => this.startTile(tile, token)));
+    }
+    
+    /**
+     * Build a tile and its player
+     */
+    addTile(stream) {
+        const element = document.createElement('div');
+        element.className = 'vid-tile';
+        
+        const bar = document.createElement('div');
+        bar.className = 'vid-tile-bar';
+        
+        const label = document.createElement('span');
+        label.className = 'uk-text-truncate uk-flex-1';
+        bar.appendChild(label);
+        
+        const promote = document.createElement('a');
+        promote.href = '#';
+        promote.className = 'uk-icon-link vid-tile-promote';
+        promote.setAttribute('uk-icon', 'expand');
+        promote.setAttribute('uk-tooltip', 'Full Size');
+        bar.appendChild(promote);
+        
+        const video = document.createElement('video');
+        video.id = `vid_tile_${++this.tileCount}`;
+        video.muted = true;
+        video.playsInline = true;
+        
+        element.appendChild(bar);
+        element.appendChild(video);
+        this.gridElement.appendChild(element);
+        
+        const tile = { element: element, label: label, player: new MultiFormatPlayer(video.id, null), stream: stream };
+        this.setTileLabel(tile, 'Loading...');
+        this.tiles.push(tile);
+        
+        return tile;
+    }
+    
+    /**
+     * Run the engine chain for a tile
+     */
+    async startTile(tile, token) {
+        const player = tile.player;
+        
+        player.originalUrl = tile.stream.url;
+        player.currentStream = tile.stream;
+        
+        const success = await player.runEngines(tile.stream.url, true, tile.stream);
+        if (token !== this.openToken) return;
+        
+        this.setTileLabel(tile, success ? player.engineName : 'Unable to play');
+        this.setMuted(tile, tile !== this.focusedTile);
+    }
+    
+    /**
+     * Channel, name and provider over the tile, with a status
+     */
+    setTileLabel(tile, status) {
+        const name = tile.player.getStreamLabel(tile.stream);
+        tile.label.textContent = [name, tile.stream.providerName, status].filter(Boolean).join(' | ');
+    }
+    
+    /**
+     * Mute or unmute a tile, whichever engine is playing it
+     */
+    setMuted(tile, muted) {
+        const player = tile.player;
+        
+        if (player.videoElement) {
+            player.videoElement.muted = muted;
+        }
+        
+        if (player.videoJsPlayer) {
+            try {
+                player.videoJsPlayer.muted(muted);
+            } catch (e) {
+                console.error('Error muting Video.js:', e);
+            }
+        }
+    }
+    
+    /**
+     * Audio follows the focused tile
+     */
+    focus(tile) {
+        if (!tile) return;
+        
+        this.focusedTile = tile;
+        this.tiles.forEach(other => {
+            other.element.classList.toggle('vid-tile-focused', other === tile);
+            this.setMuted(other, other !== tile);
+        });
+    }
+    
+    /**
+     * Show one tile full size, or put the grid back
+     */
+    togglePromoted(tile) {
+        const promoted = !tile.element.classList.contains('vid-tile-promoted');
+        
+        this.tiles.forEach(other => other.element.classList.remove('vid-tile-promoted'));
+        tile.element.classList.toggle('vid-tile-promoted', promoted);
+        this.gridElement.classList.toggle('vid-grid-promoted', promoted);
+        
+        this.focus(tile);
+    }
+    
+    /**
+     * Switch between the 2x2 (quad) and 1+3 (main) layouts
+     */
+    setLayout(layout) {
+        this.gridElement.dataset.layout = layout;
+        this.modalElement.querySelectorAll('.vid-grid-layout').forEach(link => {
+            link.classList.toggle('uk-active', link.dataset.layout === layout);
+        });
+    }
+    
+    /**
+     * The tile a click landed in
+     */
+    getTile(target) {
+        const element = target.closest('.vid-tile');
+        return this.tiles.find(tile => tile.element === element) || null;
+    }
+    
+    /**
+     * Tear all the tiles down
+     */
+    close() {
+        this.openToken++;
+        
+        this.tiles.forEach(tile => {
+            tile.player.destroy();
+            tile.element.remove();
+        });
+        
+        this.tiles = [];
+        this.focusedTile = null;
+        this.gridElement.classList.remove('vid-grid-promoted');
+    }
+    
+    /**
+     * Wire up the layout buttons, tile focus and promotion
+     */
+    bindControls() {
+        this.modalElement.addEventListener('click', (e) => {
+            const layout = e.target.closest('.vid-grid-layout');
+            const tile = this.getTile(e.target);
+            
+            if (layout) {
+                e.preventDefault();
+                this.setLayout(layout.dataset.layout);
+            } else if (tile && e.target.closest('.vid-tile-promote')) {
+                e.preventDefault();
+                this.togglePromoted(tile);
+            } else if (tile) {
+                this.focus(tile);
+            }
+        });
+        
+        this.modalElement.addEventListener('dblclick', (e) => {
+            const tile = this.getTile(e.target);
+            if (tile) {
+                e.preventDefault();
+                this.togglePromoted(tile);
+            }
+        });
+        
+        UIkit.util.on(this.modalElement, 'hidden', () => this.close());
+    }
+}
+
+let multiViewGrid;
+
+/**
+ * Open the checked streams in the multi-view grid
+ */
+function openMultiView() {
+    const table = window.DataTables;
+    const ids = table ? Array.from(table.selectedIds) : [];
+    
+    if (ids.length < 2 || ids.length > 4) {
+        UIkit.notification({ message: 'Select between 2 and 4 streams for the grid', status: 'warning', pos: 'top-center', timeout: 5000 });
+        return;
+    }
+    
+    if (!multiViewGrid) {
+        multiViewGrid = new MultiViewGrid('vid_grid_modal');
+    }
+    
+    multiViewGrid.open(ids);
+}
+
+/**
+ * Records what the player is showing to a file the browser downloads
+ * 
+ * HLS segments are kept as hls.js loads them and MPEG-TS is read through the
+ * proxy when the provider allows a second connection, both saved as .ts.
+ * Anything else (HLS served as fMP4, MPEG-TS on a single connection provider)
+ * is recorded off the video element with MediaRecorder as .webm
+ */
+class StreamRecorder {
+    static maxBytes = 512 * 1024 * 1024; // Recordings are held in memory until saved
+    
+    constructor(player) {
+        this.player = player;
+        this.menuElement = player.modalElement.querySelector('.vid-record-list');
+        this.statusElement = player.modalElement.querySelector('.vid-rec-status');
+        this.method = null; // 'segments', 'fetch' or 'media-recorder' while recording
+        this.chunks = [];
+        this.bytes = 0;
+        this.started = 0;
+        this.duration = 0; // Seconds, 0 records until stopped
+        this.stream = null; // What was playing when it started, for the file name
+        this.timer = null;
+        this.hls = null;
+        this.onFragment = null;
+        this.fetchController = null;
+        this.mediaRecorder = null;
+        
+        this.bindControls();
+    }
+    
+    /**
+     * Start recording for duration seconds, or until stopped with 0
+     */
+    start(duration = 0) {
+        const player = this.player;
+        
+        if (this.method) return;
+        
+        if (!player.engineName) {
+            UIkit.notification({ message: 'Nothing is playing to record', status: 'warning', pos: 'top-center', timeout: 5000 });
+            return;
+        }
+        
+        this.chunks = [];
+        this.bytes = 0;
+        this.started = Date.now();
+        this.duration = duration;
+        this.stream = player.currentStream;
+        
+        try {
+            if (player.currentPlayer === 'hls' && player.players.hls) {
+                this.recordSegments(player.players.hls);
+            } else if (player.currentPlayer === 'mpegts') {
+                this.recordStream(player.getProxiedUrl(player.originalUrl, 'mpegts'));
+            } else {
+                this.recordMedia();
+            }
+        } catch (e) {
+            console.error('Starting the recording failed:', e);
+            this.reset();
+            UIkit.notification({ message: 'This stream can\'t be recorded in the browser', status: 'danger', pos: 'top-center', timeout: 5000 });
+            return;
+        }
+        
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.renderStatus();
+    }
+    
+    /**
+     * Keep the MPEG-TS segments hls.js loads for the main rendition
+     */
+    recordSegments(hls) {
+        this.method = 'segments';
+        this.hls = hls;
+        this.onFragment = (event, data) => {
+            if (!data.payload || (data.frag && data.frag.type !== 'main')) return;
+            
+            const bytes = new Uint8Array(data.payload);
+            
+            // fMP4 segments need their init segment and can't just be joined, record the element instead
+            if (bytes[0] !== 0x47) {
+                this.detachHls();
+                this.chunks = [];
+                this.bytes = 0;
+                
+                try {
+                    this.recordMedia();
+                } catch (e) {
+                    console.error('Recording the stream failed:', e);
+                    this.stop();
+                }
+                return;
+            }
+            
+            // Copied, hls.js hands the buffer on to its worker
+            this.add(bytes.slice());
+        };
+        
+        hls.on(Hls.Events.FRAG_LOADED, this.onFragment);
+    }
+    
+    /**
+     * Read the MPEG-TS stream through the proxy alongside the player, mpegts.js
+     * doesn't hand out what it loads so this takes a second provider connection.
+     * When the provider won't allow one, record the element instead so the
+     * playback connection isn't refused or kicked
+     */
+    recordStream(url) {
+        this.method = 'fetch';
+        this.fetchController = new AbortController();
+        
+        const signal = this.fetchController.signal;
+        
+        this.canOpenConnection(signal).then(allowed => {
+            if (signal.aborted) return;
+            
+            if (allowed) {
+                this.recordFetch(url, signal);
+                return;
+            }
+            
+            console.log('The provider allows one connection, recording the video element instead');
+            this.fetchController = null;
+            
+            try {
+                this.recordMedia();
+            } catch (e) {
+                console.error('Recording the stream failed:', e);
+                this.stop();
+            }
+        });
+    }
+    
+    /**
+     * Ask if the playing stream's provider allows a second connection, no when it can't be told
+     */
+    async canOpenConnection(signal) {
+        const stream = this.player.currentStream;
+        if (!stream || !stream.id) return false;
+        
+        try {
+            const response = await fetch('/player/record', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: stream.id }),
+                signal: signal
+            });
+            const data = await response.json();
+            
+            return !!(data.success && data.data && data.data.allowed);
+        } catch (e) {
+            if (!signal.aborted) console.error('Checking the provider connection limit failed:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Read the proxied stream into the recording until it ends or is aborted
+     */
+    recordFetch(url, signal) {
+        (async () => {
+            const response = await fetch(url, { signal: signal });
+            if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+            
+            const reader = response.body.getReader();
+            
+            while (!signal.aborted) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                this.add(value);
+            }
+        })().catch(e => {
+            if (signal.aborted) return;
+            
+            console.error('Recording the stream failed:', e);
+            this.stop();
+        });
+    }
+    
+    /**
+     * Record the video element itself
+     */
+    recordMedia() {
+        const video = this.player.videoElement;
+        const capture = video.captureStream || video.mozCaptureStream;
+        
+        if (!window.MediaRecorder || !capture) {
+            throw new Error('MediaRecorder is not supported');
+        }
+        
+        const type = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        
+        this.method = 'media-recorder';
+        this.mediaRecorder = new MediaRecorder(capture.call(video), type ? { mimeType: type } : {});
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data && e.data.size) this.add(e.data);
+        });
+        this.mediaRecorder.start(1000);
+    }
+    
+    /**
+     * Keep a chunk and stop at the size limit
+     */
+    add(chunk) {
+        this.chunks.push(chunk);
+        this.bytes += chunk.byteLength !== undefined ? chunk.byteLength : chunk.size;
+        
+        if (this.bytes >= StreamRecorder.maxBytes) {
+            this.stop();
+        }
+    }
+    
+    /**
+     * Update the elapsed time and stop when the duration is up
+     */
+    tick() {
+        if (this.duration && this.getElapsed() >= this.duration) {
+            this.stop();
+            return;
+        }
+        
+        this.renderStatus();
+    }
+    
+    /**
+     * Stop recording and download what was recorded
+     */
+    stop() {
+        if (!this.method) return;
+        
+        // MediaRecorder hands over its last chunk after stopping
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.addEventListener('stop', () => this.finish(), { once: true });
+            this.mediaRecorder.stop();
+            this.release();
+            return;
+        }
+        
+        this.release();
+        this.finish();
+    }
+    
+    /**
+     * Let go of the player and the proxy connection
+     */
+    release() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.detachHls();
+        
+        if (this.fetchController) {
+            this.fetchController.abort();
+            this.fetchController = null;
+        }
+    }
+    
+    /**
+     * Stop taking hls.js segments
+     */
+    detachHls() {
+        if (this.hls && this.onFragment) {
+            this.hls.off(Hls.Events.FRAG_LOADED, this.onFragment);
+        }
+        
+        this.hls = null;
+        this.onFragment = null;
+    }
+    
+    /**
+     * Save the recording and get ready for the next one
+     */
+    finish() {
+        const webm = this.method === 'media-recorder';
+        const bytes = this.bytes;
+        
+        if (bytes > 0) {
+            const blob = new Blob(this.chunks, { type: webm ? 'video/webm' : 'video/mp2t' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.getFileName()}.${webm ? 'webm' : 'ts'}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+        }
+        
+        UIkit.notification({
+            message: bytes > 0 ? `Recording saved (${this.formatSize(bytes)})` : 'Nothing was recorded',
+            status: bytes > 0 ? 'success' : 'warning',
+            pos: 'top-center',
+            timeout: 5000
+        });
+        
+        this.reset();
+    }
+    
+    /**
+     * Forget the last recording
+     */
+    reset() {
+        this.method = null;
+        this.chunks = [];
+        this.bytes = 0;
+        this.mediaRecorder = null;
+        this.renderStatus();
+    }
+    
+    /**
+     * Seconds since the recording started
+     */
+    getElapsed() {
+        return Math.floor((Date.now() - this.started) / 1000);
+    }
+    
+    /**
+     * Channel and name plus when it was recorded, safe for a file name
+     */
+    getFileName() {
+        const label = this.player.getStreamLabel(this.stream).replace(/[^a-z0-9 _-]+/gi, '').trim().replace(/\s+/g, '-');
+        const stamp = new Date(this.started).toISOString().replace(/\D/g, '').slice(0, 14);
+        
+        return `${label || 'recording'}-${stamp}`;
+    }
+    
+    /**
+     * Bytes as KB/MB for people
+     */
+    formatSize(bytes) {
+        return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    }
+    
+    /**
+     * Show the elapsed time and size on the toolbar while recording
+     */
+    renderStatus() {
+        if (!this.statusElement) return;
+        
+        this.statusElement.hidden = !this.method;
+        
+        if (this.method) {
+            const elapsed = this.player.formatDuration(this.getElapsed());
+            const limit = this.duration ? ` / ${this.player.formatDuration(this.duration)}` : '';
+            this.statusElement.textContent = `REC ${elapsed}${limit} · ${this.formatSize(this.bytes)}`;
+        }
+    }
+    
+    /**
+     * Build the record menu: the durations, or stop while recording
+     */
+    renderMenu() {
+        if (!this.menuElement) return;
+        
+        const item = (text, className, duration = null) => {
+            const li = document.createElement('li');
+            const a = document.createElement('a');
+            a.href = '#';
+            a.className = className;
+            a.textContent = text;
+            if (duration !== null) a.dataset.duration = duration;
+            li.appendChild(a);
+            return li;
+        };
+        
+        const items = this.method
+            ? [item('Stop and Save', 'vid-record-stop')]
+            : [
+                item('Until Stopped', 'vid-record-option', 0),
+                item('30 Seconds', 'vid-record-option', 30),
+                item('1 Minute', 'vid-record-option', 60),
+                item('5 Minutes', 'vid-record-option', 300)
+            ];
+        
+        const header = document.createElement('li');
+        header.className = 'uk-nav-header';
+        header.textContent = 'Record';
+        
+        this.menuElement.replaceChildren(header, ...items);
+    }
+    
+    /**
+     * Wire up the record menu and the status label
+     */
+    bindControls() {
+        const modalElement = this.player.modalElement;
+        
+        modalElement.addEventListener('click', (e) => {
+            const option = e.target.closest('.vid-record-option');
+            
+            if (option) {
+                e.preventDefault();
+                this.start(parseInt(option.dataset.duration, 10) || 0);
+                UIkit.dropdown(modalElement.querySelector('.vid-record-menu')).hide(false);
+            } else if (e.target.closest('.vid-record-stop') || e.target.closest('.vid-rec-status')) {
+                e.preventDefault();
+                this.stop();
+                UIkit.dropdown(modalElement.querySelector('.vid-record-menu')).hide(false);
+            }
+        });
+        
+        const menu = modalElement.querySelector('.vid-record-menu');
+        if (menu) {
+            UIkit.util.on(menu, 'beforeshow', () => this.renderMenu());
+        }
+        
+        // Save what we have when the stream goes away, reconnects hand us a new hls.js
+        this.player.addEventListener('stopped', () => this.stop());
+        this.player.addEventListener('failed', () => this.stop());
+        this.player.addEventListener('playing', (e) => {
+            if (this.method === 'segments' && e.detail.reconnected && this.player.players.hls) {
+                this.detachHls();
+                this.recordSegments(this.player.players.hls);
+            }
+        });
+    }
+}
+
 document.addEventListener('click', function(e) {
+    if (e.target.closest('.probe-selected')) {
+        e.preventDefault();
+        probeSelectedStreams();
+        return;
+    }
+    
+    if (e.target.closest('.snapshot-selected')) {
+        e.preventDefault();
+        snapshotSelectedStreams();
+        return;
+    }
+    
+    if (e.target.closest('.multiview-selected')) {
+        e.preventDefault();
+        openMultiView();
+        return;
+    }
+    
+    const handoffElement = e.target.closest('.external-player');
+    
+    if (handoffElement) {
+        e.preventDefault();
+        
+        if (!multiPlayer) {
+            multiPlayer = new MultiFormatPlayer('the_streamer', 'vid_modal');
+        }
+        
+        multiPlayer.showHandoff(multiPlayer.getStreamFromElement(handoffElement));
+        return;
+    }
+    
     const streamElement = e.target.closest('.play-stream');
     
     if (streamElement) {
@@ -643,7 +3836,7 @@ document.addEventListener('click', function(e) {
         const url = streamElement.getAttribute('data-stream-url');
         
         if (url) {
-            playStream(url);
+            playStream(url, null, multiPlayer ? multiPlayer.getStreamFromElement(streamElement) : null);
         } else {
             console.error('No data-stream-url attribute found on element');
         }
@@ -0,0 +1,484 @@
+<?php
+/**
+ * KPTV Change Journal class
+ *
+ * Keeps the before and after values of each user's edits so they can be undone and redone
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_Change_Journal' ) ) {
+
+    /**
+     * KPTV Change Journal class
+     *
+     * Keeps the before and after values of each user's edits so they can be undone and redone
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_Change_Journal extends Database {
+
+        // the tables we journal, and what to call a row of each in the summaries
+        private const TABLES = ['kptv_streams' => 'stream', 'kptv_stream_providers' => 'provider'];
+
+        // columns that change on their own and are not worth undoing
+        private const IGNORED = ['s_updated', 's_created'];
+
+        // friendlier column names for the summaries
+        private const LABELS = [
+            's_name' => 'name',
+            's_orig_name' => 'original name',
+            's_channel' => 'channel',
+            's_active' => 'active',
+            's_type_id' => 'type',
+            's_tvg_logo' => 'logo',
+            's_tvg_id' => 'TVG ID',
+            's_tvg_group' => 'group',
+            's_stream_uri' => 'URL',
+            's_extras' => 'attributes',
+            'p_id' => 'provider',
+            'sp_priority' => 'priority',
+        ];
+
+        // how many entries each user keeps
+        private const KEEP = 200;
+
+        // what snapshot( ) saw before the change
+        private int $userId = 0;
+        private string $table = '';
+        private array $before = [];
+
+        // the operation a batched request belongs to, its batches share one entry
+        private ?string $op = null;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Snapshot the rows a DataTables request is about to change
+         *
+         * Call it right before handleAjax( ), which exits once it is done,
+         * so the entry is written from a shutdown function
+         *
+         * @param int $userId The user making the change
+         * @param string $table The table the request changes
+         * @return void
+         */
+        public function watch( int $userId, string $table = 'kptv_streams' ): void {
+
+            // batches of one bulk operation are tagged so they undo as one
+            $op = ( string ) ( $_POST['journal_op'] ?? '' );
+            $this -> op = preg_match( '/^[A-Za-z0-9\-]{8,64}$/', $op ) ? $op : null;
+
+            if ( $this -> snapshot( $userId, $this -> getRequestIds( ), $table ) ) {
+                register_shutdown_function( [$this, 'record'] );
+            }
+        }
+
+        /**
+         * Snapshot rows that are about to change, call record( ) once they have
+         *
+         * @param int $userId The user making the change
+         * @param array $ids The rows that will change
+         * @param string $table The table they are in
+         * @return bool If there was anything to snapshot
+         */
+        public function snapshot( int $userId, array $ids, string $table = 'kptv_streams' ): bool {
+
+            if ( ! isset( self::TABLES[$table] ) || empty( $ids ) ) return false;
+
+            $this -> userId = $userId;
+            $this -> table = $table;
+            $this -> before = $this -> getRows( $table, $userId, $ids );
+
+            return ! empty( $this -> before );
+        }
+
+        /**
+         * Write the journal entry for what snapshot( ) saw change
+         *
+         * @return void
+         */
+        public function record( ): void {
+
+            if ( empty( $this -> before ) ) return;
+
+            try {
+
+                $after = $this -> getRows( $this -> table, $this -> userId, array_keys( $this -> before ) );
+                $oldValues = $newValues = [];
+
+                foreach ( $this -> before as $id => $row ) {
+
+                    // gone, keep the whole row so it can be put back
+                    if ( ! isset( $after[$id] ) ) {
+                        $oldValues[$id] = $row;
+                        $newValues[$id] = null;
+                        continue;
+                    }
+
+                    // just the columns that changed
+                    $changed = array_diff( array_keys( array_filter( $row, fn( $val, $col ) => ( $after[$id][$col] ?? null ) !== $val, ARRAY_FILTER_USE_BOTH ) ), self::IGNORED );
+                    if ( empty( $changed ) ) continue;
+
+                    $oldValues[$id] = array_intersect_key( $row, array_flip( $changed ) );
+                    $newValues[$id] = array_intersect_key( $after[$id], array_flip( $changed ) );
+                }
+
+                // nothing actually changed
+                if ( empty( $oldValues ) ) return;
+
+                // a later batch of the same operation goes into its first batch's entry
+                $entry = $this -> op ? $this -> getOperationEntry( ) : false;
+                if ( $entry ) {
+                    $oldValues = json_decode( $entry -> cj_before, true ) + $oldValues;
+                    $newValues = array_replace( json_decode( $entry -> cj_after, true ), $newValues );
+
+                    $this -> query( 'UPDATE `kptv_change_journal` SET `cj_summary` = ?, `cj_rows` = ?, `cj_before` = ?, `cj_after` = ? WHERE `id` = ?' )
+                        -> bind( [
+                            $this -> summarize( $this -> table, $newValues ),
+                            count( $oldValues ),
+                            json_encode( $oldValues ),
+                            json_encode( $newValues ),
+                            $entry -> id,
+                        ] )
+                        -> execute( );
+                    return;
+                }
+
+                $this -> query( 'INSERT INTO `kptv_change_journal` (`u_id`, `cj_table`, `cj_op`, `cj_summary`, `cj_rows`, `cj_before`, `cj_after`) VALUES (?, ?, ?, ?, ?, ?, ?)' )
+                    -> bind( [
+                        $this -> userId,
+                        $this -> table,
+                        $this -> op,
+                        $this -> summarize( $this -> table, $newValues ),
+                        count( $oldValues ),
+                        json_encode( $oldValues ),
+                        json_encode( $newValues ),
+                    ] )
+                    -> execute( );
+
+                // only keep the latest
+                $this -> query( 'DELETE FROM `kptv_change_journal` WHERE `u_id` = ? AND `id` <= (
+                        SELECT `id` FROM ( SELECT `id` FROM `kptv_change_journal` WHERE `u_id` = ? ORDER BY `id` DESC LIMIT 1 OFFSET ' . self::KEEP . ' ) AS `oldest` )' )
+                    -> bind( [$this -> userId, $this -> userId] )
+                    -> execute( );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Writing the change journal failed", [
+                    'user' => $this -> userId,
+                    'error' => $e -> getMessage( )
+                ] );
+            }
+        }
+
+        /**
+         * The user's recent changes, newest first
+         *
+         * @return void Outputs JSON directly
+         */
+        public function recent( ): void {
+
+            $rs = $this -> query( 'SELECT `id`, `cj_summary`, `cj_rows`, `cj_undone_at`, `cj_created` FROM `kptv_change_journal` WHERE `u_id` = ? ORDER BY `id` DESC LIMIT 50' )
+                -> bind( [KPT_User::get_current_user( ) -> id] )
+                -> fetch( ) ?: [];
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => array_map( fn( $rec ) => [
+                    'id' => ( int ) $rec -> id,
+                    'summary' => $rec -> cj_summary,
+                    'rows' => ( int ) $rec -> cj_rows,
+                    'undone' => $rec -> cj_undone_at !== null,
+                    'created' => $rec -> cj_created,
+                ], $rs ),
+            ] );
+        }
+
+        /**
+         * Undo a change, the latest one that is not undone unless an id is posted
+         *
+         * @return void Outputs JSON directly
+         */
+        public function undo( ): void {
+
+            $this -> apply( true );
+        }
+
+        /**
+         * Redo a change, the last one undone unless an id is posted
+         *
+         * @return void Outputs JSON directly
+         */
+        public function redo( ): void {
+
+            $this -> apply( false );
+        }
+
+        /**
+         * Put an entry's rows back how they were (undo) or how it left them (redo)
+         *
+         * @param bool $undo Undo, or redo
+         * @return void Outputs JSON directly
+         */
+        private function apply( bool $undo ): void {
+
+            $entryId = ( int ) ( KPT::get_json_input( )['id'] ?? 0 );
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+
+            // the asked for entry, or the next one in line
+            if ( $entryId > 0 ) {
+                $entry = $this -> query( 'SELECT * FROM `kptv_change_journal` WHERE `id` = ? AND `u_id` = ?' )
+                    -> bind( [$entryId, $userId] )
+                    -> single( )
+                    -> fetch( );
+            } else {
+                $entry = $this -> query( 'SELECT * FROM `kptv_change_journal` WHERE `u_id` = ? AND ' . ( $undo
+                        ? '`cj_undone_at` IS NULL ORDER BY `id` DESC'
+                        : '`cj_undone_at` IS NOT NULL ORDER BY `cj_undone_at` DESC, `id` DESC' ) . ' LIMIT 1' )
+                    -> bind( [$userId] )
+                    -> single( )
+                    -> fetch( );
+            }
+
+            if ( ! $entry ) {
+                KPT::send_json( ['success' => false, 'message' => $undo ? 'Nothing to undo.' : 'Nothing to redo.'], 404 );
+            }
+
+            if ( ( $entry -> cj_undone_at === null ) !== $undo ) {
+                KPT::send_json( ['success' => false, 'message' => $undo ? 'That change is already undone.' : 'That change has not been undone.'], 409 );
+            }
+
+            $before = json_decode( $entry -> cj_before, true ) ?: [];
+            $after = json_decode( $entry -> cj_after, true ) ?: [];
+
+            // never write over a newer change, the rows have to be just how this entry expects
+            $current = isset( self::TABLES[$entry -> cj_table] ) ? $this -> getRows( $entry -> cj_table, $userId, array_keys( $before ) ) : [];
+            foreach ( $before as $id => $old ) {
+                if ( ! $this -> rowMatches( $current[$id] ?? null, $undo ? ( $after[$id] ?? null ) : $old ) ) {
+                    KPT::send_json( ['success' => false, 'message' => ( $undo ? 'That change cannot be undone' : 'That change cannot be redone' ) . ', the rows have changed since. Undo the newer changes first.'], 409 );
+                }
+            }
+
+            try {
+
+                if ( ! isset( self::TABLES[$entry -> cj_table] ) ) {
+                    throw new \RuntimeException( "Not a journaled table: {$entry -> cj_table}" );
+                }
+
+                $this -> transaction( );
+
+                foreach ( $before as $id => $old ) {
+
+                    // deleted rows go back in on undo, and out again on redo
+                    if ( ( $after[$id] ?? null ) === null ) {
+                        $result = $undo
+                            ? $this -> insertRow( $entry -> cj_table, $userId, $old )
+                            : $this -> query( "DELETE FROM `{$entry -> cj_table}` WHERE `id` = ? AND `u_id` = ?" ) -> bind( [( int ) $id, $userId] ) -> execute( );
+                    } else {
+                        $result = $this -> updateRow( $entry -> cj_table, $userId, ( int ) $id, $undo ? $old : $after[$id] );
+                    }
+
+                    if ( $result === false ) {
+                        throw new \RuntimeException( "Row {$id} could not be changed" );
+                    }
+                }
+
+                $this -> query( 'UPDATE `kptv_change_journal` SET `cj_undone_at` = ' . ( $undo ? 'NOW( )' : 'NULL' ) . ' WHERE `id` = ?' )
+                    -> bind( [$entry -> id] )
+                    -> execute( );
+
+                $this -> commit( );
+
+            } catch ( \Throwable $e ) {
+                $this -> rollback( );
+                Logger::error( $undo ? "Undoing a change failed" : "Redoing a change failed", [
+                    'entry' => $entry -> id,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => $undo ? 'The change could not be undone.' : 'The change could not be redone.'], 500 );
+            }
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => ( $undo ? 'Undone: ' : 'Redone: ' ) . $entry -> cj_summary,
+                'data' => ['id' => ( int ) $entry -> id],
+            ] );
+        }
+
+        /**
+         * Figure out which rows a DataTables request is about to touch
+         *
+         * @return array The row ids
+         */
+        private function getRequestIds( ): array {
+
+            switch ( $_POST['action'] ?? '' ) {
+                case 'inline_edit':
+                case 'edit_record':
+                case 'delete_record':
+                    $ids = [$_POST['id'] ?? 0];
+                    break;
+                case 'bulk_action':
+                    $ids = json_decode( ( string ) ( $_POST['selected_ids'] ?? '[]' ), true );
+                    break;
+                default:
+                    return [];
+            }
+
+            return array_values( array_unique( array_filter( array_map( 'intval', ( array ) $ids ), fn( $id ) => $id > 0 ) ) );
+        }
+
+        /**
+         * Get the user's rows, keyed by id
+         *
+         * @param string $table The table
+         * @param int $userId The user
+         * @param array $ids The row ids
+         * @return array The rows
+         */
+        private function getRows( string $table, int $userId, array $ids ): array {
+
+            if ( empty( $ids ) ) return [];
+
+            $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+            $rs = $this -> query( "SELECT * FROM `{$table}` WHERE `u_id` = ? AND `id` IN ( $placeholders )" )
+                -> bind( array_merge( [$userId], $ids ) )
+                -> asArray( )
+                -> fetch( ) ?: [];
+
+            return array_column( $rs, null, 'id' );
+        }
+
+        /**
+         * Set some columns of one of the user's rows
+         *
+         * @param string $table The table
+         * @param int $userId The user
+         * @param int $id The row
+         * @param array $values The column values
+         * @return mixed The affected rows, or false
+         */
+        private function updateRow( string $table, int $userId, int $id, array $values ): mixed {
+
+            $values = $this -> cleanColumns( $values );
+            if ( empty( $values ) ) return 0;
+
+            $set = implode( ', ', array_map( fn( $col ) => "`{$col}` = ?", array_keys( $values ) ) );
+
+            return $this -> query( "UPDATE `{$table}` SET $set WHERE `id` = ? AND `u_id` = ?" )
+                -> bind( array_merge( array_values( $values ), [$id, $userId] ) )
+                -> execute( );
+        }
+
+        /**
+         * Put a deleted row back, with its old id
+         *
+         * @param string $table The table
+         * @param int $userId The user, whatever the stored row says
+         * @param array $row The whole row
+         * @return mixed The insert id, or false
+         */
+        private function insertRow( string $table, int $userId, array $row ): mixed {
+
+            $row = $this -> cleanColumns( array_merge( $row, ['u_id' => $userId] ) );
+            $columns = implode( ', ', array_map( fn( $col ) => "`{$col}`", array_keys( $row ) ) );
+            $placeholders = implode( ', ', array_fill( 0, count( $row ), '?' ) );
+
+            return $this -> query( "INSERT INTO `{$table}` ( $columns ) VALUES ( $placeholders )" )
+                -> bind( array_values( $row ) )
+                -> execute( );
+        }
+
+        /**
+         * Does a row still hold the values an entry expects
+         *
+         * @param ?array $row The current row, null when it is gone
+         * @param ?array $expected The expected column values, null when it should be gone
+         * @return bool If it matches
+         */
+        private function rowMatches( ?array $row, ?array $expected ): bool {
+
+            if ( $row === null || $expected === null ) return $row === $expected;
+
+            foreach ( array_diff_key( $expected, array_flip( self::IGNORED ) ) as $col => $val ) {
+                $cur = $row[$col] ?? null;
+                if ( ( $cur === null || $val === null ) ? $cur !== $val : ( string ) $cur !== ( string ) $val ) return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Drop anything that isn't a plain column name before it goes into SQL
+         *
+         * @param array $values Column values keyed by column
+         * @return array The values that are safe to use
+         */
+        private function cleanColumns( array $values ): array {
+
+            return array_filter( $values, fn( $col ) => is_string( $col ) && preg_match( '/^[a-z0-9_]{1,64}$/', $col ), ARRAY_FILTER_USE_KEY );
+        }
+
+        /**
+         * Find the entry the earlier batches of this operation wrote
+         *
+         * Only while it is still the user's latest entry and not undone,
+         * so a merge never reaches past another change
+         *
+         * @return object|false The entry, or false
+         */
+        private function getOperationEntry( ): object|false {
+
+            return $this -> query( 'SELECT `id`, `cj_before`, `cj_after` FROM `kptv_change_journal`
+                    WHERE `u_id` = ? AND `cj_op` = ? AND `cj_table` = ? AND `cj_undone_at` IS NULL
+                    AND `id` = ( SELECT MAX( `id` ) FROM `kptv_change_journal` WHERE `u_id` = ? )' )
+                -> bind( [$this -> userId, $this -> op, $this -> table, $this -> userId] )
+                -> single( )
+                -> fetch( );
+        }
+
+        /**
+         * Describe a change for the recent changes list
+         *
+         * @param string $table The table
+         * @param array $after The new values keyed by row id, null for a deleted row
+         * @return string The summary
+         */
+        private function summarize( string $table, array $after ): string {
+
+            $deleted = count( array_filter( $after, fn( $row ) => $row === null ) );
+            $changed = count( $after ) - $deleted;
+            $columns = array_unique( array_merge( [], ...array_values( array_map( 'array_keys', array_filter( $after, fn( $row ) => $row !== null ) ) ) ) );
+
+            $noun = fn( int $count ) => $count . ' ' . self::TABLES[$table] . ( $count === 1 ? '' : 's' );
+            $parts = [];
+
+            if ( $deleted ) {
+                $parts[] = 'Deleted ' . $noun( $deleted );
+            }
+
+            if ( $changed ) {
+                $labels = array_map( fn( $col ) => self::LABELS[$col] ?? $col, array_values( $columns ) );
+                $parts[] = 'Changed ' . implode( ', ', array_slice( $labels, 0, 4 ) ) . ( count( $labels ) > 4 ? '...' : '' ) . ' on ' . $noun( $changed );
+            }
+
+            return mb_substr( implode( ', ', $parts ), 0, 255 );
+        }
+
+    }
+
+}
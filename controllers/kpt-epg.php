@@ -0,0 +1,370 @@
+<?php
+/**
+ * KPTV EPG class
+ *
+ * Imports XMLTV guide data per user and serves it back by tvg-id
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_EPG' ) ) {
+
+    /**
+     * KPTV EPG class
+     *
+     * Imports XMLTV guide data per user and serves it back by tvg-id
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_EPG extends Database {
+
+        // how much of the guide we keep, in seconds either side of the import
+        private const KEEP_PAST = 43200;
+        private const KEEP_FUTURE = 604800;
+
+        // rows per insert while importing
+        private const BATCH_SIZE = 250;
+
+        // the biggest guide we will download, in bytes
+        private const MAX_DOWNLOAD = 268435456;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Get the user's last import
+         *
+         * @param int $userId The user
+         * @return object|false The source record, or false if they have never imported one
+         */
+        public function getSource( int $userId ): object|false {
+
+            return $this -> query( 'SELECT `es_url`, `es_channels`, `es_programmes`, `es_imported` FROM `kptv_epg_sources` WHERE `u_id` = ?' )
+                -> bind( [$userId] )
+                -> single( )
+                -> fetch( );
+        }
+
+        /**
+         * Handle the import form, from an uploaded file or a URL
+         *
+         * @return void Redirects back to the guide page
+         */
+        public function importGuide( ): void {
+
+            $user = KPT_User::get_current_user( );
+            $url = trim( ( string ) ( $_POST['epg_url'] ?? '' ) );
+            $file = $_FILES['epg_file'] ?? null;
+            $path = null;
+            $downloaded = false;
+
+            try {
+
+                // uploaded file wins over the URL
+                if ( $file && ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) === UPLOAD_ERR_OK && is_uploaded_file( $file['tmp_name'] ) ) {
+                    $path = $file['tmp_name'];
+                    $url = null;
+                } elseif ( $url !== '' ) {
+                    if ( ! filter_var( $url, FILTER_VALIDATE_URL ) || ! preg_match( '/^https?:\/\//i', $url ) ) {
+                        KPT::message_with_redirect( '/epg', 'danger', 'Please enter a valid http(s) guide URL.' );
+                        return;
+                    }
+                    $path = $this -> downloadGuide( $url );
+                    $downloaded = true;
+                } else {
+                    KPT::message_with_redirect( '/epg', 'danger', 'Please choose a guide file or enter a guide URL.' );
+                    return;
+                }
+
+                // import it
+                $counts = $this -> importFile( ( int ) $user -> id, $path, $url );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Importing the guide failed", [
+                    'user' => $user -> id,
+                    'url' => $url,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::message_with_redirect( '/epg', 'danger', 'The guide could not be imported: ' . htmlspecialchars( $e -> getMessage( ) ) );
+                return;
+            } finally {
+                if ( $downloaded && $path && is_file( $path ) ) {
+                    @unlink( $path );
+                }
+            }
+
+            KPT::message_with_redirect( '/epg', 'success', sprintf( 'Guide imported: %d channels, %d programmes for your streams.', $counts['channels'], $counts['programmes'] ) );
+        }
+
+        /**
+         * Now and next for one of the current user's streams
+         *
+         * @return void Outputs JSON directly
+         */
+        public function nowNext( ): void {
+
+            $streamId = ( int ) ( $_GET['id'] ?? 0 );
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+
+            // get the stream's tvg-id
+            $stream = $streamId > 0 ? $this -> query( 'SELECT `s_tvg_id` FROM `kptv_streams` WHERE `id` = ? AND `u_id` = ?' )
+                -> bind( [$streamId, $userId] )
+                -> single( )
+                -> fetch( ) : false;
+
+            if ( ! $stream ) {
+                KPT::send_json( ['success' => false, 'message' => 'Stream not found.'], 404 );
+            }
+
+            $listings = $stream -> s_tvg_id !== '' && $stream -> s_tvg_id !== null
+                ? $this -> getListings( $userId, $stream -> s_tvg_id, 2 )
+                : [];
+
+            // the first one is only "now" if it has started
+            $now = ( $listings[0] ?? null ) && $listings[0]['start'] <= time( ) ? array_shift( $listings ) : null;
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => ['now' => $now, 'next' => $listings[0] ?? null],
+            ] );
+        }
+
+        /**
+         * The current and upcoming programmes of a guide channel
+         *
+         * @param int $userId The user whose guide to read
+         * @param string $channel The tvg-id
+         * @param int $limit How many programmes
+         * @return array [['title', 'desc', 'start', 'stop'], ...] with unix timestamps
+         */
+        public function getListings( int $userId, string $channel, int $limit = 4 ): array {
+
+            $limit = max( 1, min( 50, $limit ) );
+
+            $rs = $this -> query( "SELECT `ep_title`, `ep_desc`, `ep_start`, `ep_stop` FROM `kptv_epg_programmes`
+                    WHERE `u_id` = ? AND `ep_channel` = ? AND `ep_stop` > ?
+                    ORDER BY `ep_start` ASC LIMIT $limit" )
+                -> bind( [$userId, $channel, time( )] )
+                -> asArray( )
+                -> fetch( ) ?: [];
+
+            return array_map( fn( $rec ) => [
+                'title' => $rec['ep_title'],
+                'desc' => $rec['ep_desc'] ?? '',
+                'start' => ( int ) $rec['ep_start'],
+                'stop' => ( int ) $rec['ep_stop'],
+            ], $rs );
+        }
+
+        /**
+         * Replace the user's guide with an XMLTV file
+         *
+         * Every channel is kept so the streams table can flag tvg-ids the guide
+         * does not have, but programmes are only kept for the user's own tvg-ids
+         *
+         * @param int $userId The user
+         * @param string $path The XMLTV file, plain or gzipped
+         * @param ?string $url Where it came from, if it was downloaded
+         * @return array ['channels' => int, 'programmes' => int]
+         */
+        private function importFile( int $userId, string $path, ?string $url ): array {
+
+            // the tvg-ids we care about
+            $rs = $this -> query( 'SELECT DISTINCT `s_tvg_id` FROM `kptv_streams` WHERE `u_id` = ? AND `s_tvg_id` <> ""' )
+                -> bind( [$userId] )
+                -> asArray( )
+                -> fetch( ) ?: [];
+            $wanted = array_flip( array_column( $rs, 's_tvg_id' ) );
+
+            // open it up, gzipped guides are common
+            $handle = fopen( $path, 'rb' );
+            $magic = $handle ? fread( $handle, 2 ) : '';
+            if ( $handle ) fclose( $handle );
+            $source = $magic === "\x1f\x8b" ? 'compress.zlib://' . $path : $path;
+
+            $reader = new \XMLReader( );
+            if ( ! @$reader -> open( $source, null, LIBXML_NONET | LIBXML_COMPACT | LIBXML_PARSEHUGE ) ) {
+                throw new \RuntimeException( 'Not a readable XMLTV file' );
+            }
+
+            $from = time( ) - self::KEEP_PAST;
+            $to = time( ) + self::KEEP_FUTURE;
+            $channels = [];
+            $programmes = [];
+            $counts = ['channels' => 0, 'programmes' => 0];
+            $foundTv = false;
+
+            $this -> transaction( );
+
+            try {
+
+                // out with the old
+                $this -> query( 'DELETE FROM `kptv_epg_programmes` WHERE `u_id` = ?' ) -> bind( [$userId] ) -> execute( );
+                $this -> query( 'DELETE FROM `kptv_epg_channels` WHERE `u_id` = ?' ) -> bind( [$userId] ) -> execute( );
+
+                while ( @$reader -> read( ) ) {
+
+                    if ( $reader -> nodeType !== \XMLReader::ELEMENT ) continue;
+
+                    if ( $reader -> name === 'tv' ) {
+                        $foundTv = true;
+
+                    } elseif ( $reader -> name === 'channel' ) {
+                        $id = trim( ( string ) $reader -> getAttribute( 'id' ) );
+                        $node = simplexml_load_string( $reader -> readOuterXml( ) );
+                        if ( $id === '' || ! $node ) continue;
+
+                        $channels[$id] = [$userId, mb_substr( $id, 0, 255 ), mb_substr( trim( ( string ) ( $node -> {'display-name'}[0] ?? '' ) ), 0, 255 )];
+                        if ( count( $channels ) >= self::BATCH_SIZE ) {
+                            $counts['channels'] += $this -> insertRows( 'kptv_epg_channels', ['u_id', 'ec_channel', 'ec_name'], $channels );
+                            $channels = [];
+                        }
+
+                    } elseif ( $reader -> name === 'programme' ) {
+                        $channel = trim( ( string ) $reader -> getAttribute( 'channel' ) );
+                        if ( ! isset( $wanted[$channel] ) ) continue;
+
+                        // only the window around now
+                        $start = $this -> parseTime( ( string ) $reader -> getAttribute( 'start' ) );
+                        $stop = $this -> parseTime( ( string ) $reader -> getAttribute( 'stop' ) );
+                        if ( $start === null || $start > $to ) continue;
+                        $stop ??= $start + 1800;
+                        if ( $stop < $from ) continue;
+
+                        $node = simplexml_load_string( $reader -> readOuterXml( ) );
+                        if ( ! $node ) continue;
+
+                        $programmes[] = [
+                            $userId,
+                            mb_substr( $channel, 0, 255 ),
+                            $start,
+                            $stop,
+                            mb_substr( trim( ( string ) ( $node -> title[0] ?? '' ) ), 0, 255 ),
+                            mb_substr( trim( ( string ) ( $node -> desc[0] ?? '' ) ), 0, 4000 ),
+                        ];
+                        if ( count( $programmes ) >= self::BATCH_SIZE ) {
+                            $counts['programmes'] += $this -> insertRows( 'kptv_epg_programmes', ['u_id', 'ep_channel', 'ep_start', 'ep_stop', 'ep_title', 'ep_desc'], $programmes );
+                            $programmes = [];
+                        }
+                    }
+                }
+
+                if ( ! $foundTv ) {
+                    throw new \RuntimeException( 'Not an XMLTV file' );
+                }
+
+                // the leftovers
+                $counts['channels'] += $this -> insertRows( 'kptv_epg_channels', ['u_id', 'ec_channel', 'ec_name'], $channels );
+                $counts['programmes'] += $this -> insertRows( 'kptv_epg_programmes', ['u_id', 'ep_channel', 'ep_start', 'ep_stop', 'ep_title', 'ep_desc'], $programmes );
+
+                // remember what we did
+                $this -> query( 'INSERT INTO `kptv_epg_sources` (`u_id`, `es_url`, `es_channels`, `es_programmes`, `es_imported`) VALUES (?, ?, ?, ?, NOW())
+                        ON DUPLICATE KEY UPDATE `es_url` = VALUES(`es_url`), `es_channels` = VALUES(`es_channels`), `es_programmes` = VALUES(`es_programmes`), `es_imported` = VALUES(`es_imported`)' )
+                    -> bind( [$userId, $url, $counts['channels'], $counts['programmes']] )
+                    -> execute( );
+
+                $this -> commit( );
+
+            } catch ( \Throwable $e ) {
+                $this -> rollback( );
+                throw $e;
+            } finally {
+                $reader -> close( );
+            }
+
+            return $counts;
+        }
+
+        /**
+         * Insert a batch of rows
+         *
+         * @param string $table The table
+         * @param array $fields The columns
+         * @param array $rows The rows, each in column order
+         * @return int How many were inserted
+         */
+        private function insertRows( string $table, array $fields, array $rows ): int {
+
+            if ( empty( $rows ) ) return 0;
+
+            $placeholders = '(' . implode( ', ', array_fill( 0, count( $fields ), '?' ) ) . ')';
+            $columns = implode( ', ', array_map( fn( $field ) => "`$field`", $fields ) );
+            $last = end( $fields );
+
+            // channels can be listed twice, the last one wins
+            $this -> query( "INSERT INTO `$table` ($columns) VALUES " . implode( ', ', array_fill( 0, count( $rows ), $placeholders ) ) .
+                    " ON DUPLICATE KEY UPDATE `$last` = VALUES(`$last`)" )
+                -> bind( array_merge( ...array_values( array_map( 'array_values', $rows ) ) ) )
+                -> execute( );
+
+            return count( $rows );
+        }
+
+        /**
+         * Download a guide to a temp file
+         *
+         * @param string $url The guide URL
+         * @return string The temp file path
+         */
+        private function downloadGuide( string $url ): string {
+
+            $path = tempnam( sys_get_temp_dir( ), 'kptv_epg_' );
+            $fp = fopen( $path, 'wb' );
+
+            $ch = curl_init( $url );
+            curl_setopt_array( $ch, [
+                CURLOPT_FILE => $fp,
+                CURLOPT_FOLLOWLOCATION => true,
+                CURLOPT_MAXREDIRS => 5,
+                CURLOPT_CONNECTTIMEOUT => 15,
+                CURLOPT_TIMEOUT => 300,
+                CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+                CURLOPT_USERAGENT => 'KPTV Stream Manager',
+                CURLOPT_NOPROGRESS => false,
+                CURLOPT_PROGRESSFUNCTION => fn( $ch, $total, $done ) => $done > self::MAX_DOWNLOAD ? 1 : 0,
+            ] );
+            $ok = curl_exec( $ch );
+            $status = curl_getinfo( $ch, CURLINFO_RESPONSE_CODE );
+            $error = curl_error( $ch );
+            curl_close( $ch );
+            fclose( $fp );
+
+            if ( ! $ok || $status >= 400 ) {
+                @unlink( $path );
+                throw new \RuntimeException( $error ?: "The guide URL returned HTTP $status" );
+            }
+
+            return $path;
+        }
+
+        /**
+         * Parse an XMLTV timestamp, ie: 20240101120000 +0000
+         *
+         * @param string $value The timestamp
+         * @return ?int Unix timestamp, or null if it is not one
+         */
+        private function parseTime( string $value ): ?int {
+
+            if ( ! preg_match( '/^(\d{14})\s*([+\-]\d{4})?/', trim( $value ), $m ) ) return null;
+
+            // no offset means UTC
+            $date = \DateTime::createFromFormat( 'YmdHis O', $m[1] . ' ' . ( $m[2] ?? '+0000' ) );
+            return $date ? $date -> getTimestamp( ) : null;
+        }
+
+    }
+
+}
@@ -0,0 +1,120 @@
+<?php
+/**
+ * KPTV Stream Bulk class
+ *
+ * Runs the streams table bulk actions one stream at a time so each id gets its own result
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_Stream_Bulk' ) ) {
+
+    /**
+     * KPTV Stream Bulk class
+     *
+     * Runs the streams table bulk actions one stream at a time so each id gets its own result
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_Stream_Bulk extends Database {
+
+        // the most ids one batch can hold, the page sends far fewer
+        private const MAX_BATCH = 250;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Run a posted bulk action against each of the posted ids
+         *
+         * Takes the same POST the DataTables bulk action does, and hands the
+         * same callbacks a single id at a time
+         *
+         * @param array $actions The page's bulk actions, keyed by action
+         * @param int $userId The user the streams belong to
+         * @return void Outputs JSON directly
+         */
+        public function run( array $actions, int $userId ): void {
+
+            $action = ( string ) ( $_POST['bulk_action'] ?? '' );
+            $ids = json_decode( ( string ) ( $_POST['selected_ids'] ?? '[]' ), true );
+            $ids = array_values( array_unique( array_filter( array_map( 'intval', ( array ) $ids ), fn( $id ) => $id > 0 ) ) );
+
+            if ( $action !== 'delete' && ! is_callable( $actions[$action]['callback'] ?? null ) ) {
+                KPT::send_json( ['success' => false, 'message' => 'Unknown bulk action.'], 400 );
+            }
+
+            if ( empty( $ids ) || count( $ids ) > self::MAX_BATCH ) {
+                KPT::send_json( ['success' => false, 'message' => 'Select the streams to update.'], 400 );
+            }
+
+            // only ever touch the user's own streams
+            $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+            $owned = array_map( 'intval', array_column( $this -> query( "SELECT `id` FROM `kptv_streams` WHERE `u_id` = ? AND `id` IN ( $placeholders )" )
+                -> bind( array_merge( [$userId], $ids ) )
+                -> asArray( )
+                -> fetch( ) ?: [], 'id' ) );
+
+            $results = [];
+            foreach ( $ids as $id ) {
+                $results[$id] = in_array( $id, $owned, true ) && $this -> runOne( $actions, $action, $id, $userId );
+            }
+
+            $failed = count( array_filter( $results, fn( $ok ) => ! $ok ) );
+
+            KPT::send_json( [
+                'success' => $failed === 0,
+                'message' => $failed === 0
+                    ? ( $actions[$action]['success_message'] ?? 'Selected records deleted successfully' )
+                    : ( $actions[$action]['error_message'] ?? 'Failed to delete selected records' ),
+                'data' => ['results' => $results],
+            ] );
+        }
+
+        /**
+         * Run the action against one stream
+         *
+         * @param array $actions The page's bulk actions, keyed by action
+         * @param string $action The action to run
+         * @param int $id The stream
+         * @param int $userId The user the stream belongs to
+         * @return bool If it worked
+         */
+        private function runOne( array $actions, string $action, int $id, int $userId ): bool {
+
+            try {
+
+                // the table's own delete isn't a callback
+                if ( $action === 'delete' ) {
+                    return $this -> query( 'DELETE FROM `kptv_streams` WHERE `id` = ? AND `u_id` = ?' )
+                        -> bind( [$id, $userId] )
+                        -> execute( ) !== false;
+                }
+
+                return call_user_func( $actions[$action]['callback'], [$id], $this, 'kptv_streams' ) !== false;
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "A bulk stream action failed", [
+                    'action' => $action,
+                    'id' => $id,
+                    'error' => $e -> getMessage( )
+                ] );
+                return false;
+            }
+        }
+
+    }
+
+}
@@ -0,0 +1,306 @@
+<?php
+/**
+ * KPTV Stream Order class
+ *
+ * Handles reordering rows by dragging them and renumbering stream channels in bulk
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_Stream_Order' ) ) {
+
+    /**
+     * KPTV Stream Order class
+     *
+     * Handles reordering rows by dragging them and renumbering stream channels in bulk
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_Stream_Order extends Database {
+
+        // the numeric columns rows can be dragged into order by
+        private const REORDERABLE = [
+            'streams' => ['table' => 'kptv_streams', 'column' => 's_channel'],
+            'providers' => ['table' => 'kptv_stream_providers', 'column' => 'sp_priority'],
+        ];
+
+        // the most rows one drag, or one renumber, can touch
+        private const MAX_ROWS = 1000;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Save the order rows were dragged into
+         *
+         * Expects a JSON body of { table, column, direction, ids } with the ids in
+         * their new order, the rows keep the numbers they already had between them
+         * and those are handed back out in that order
+         *
+         * @return void Outputs JSON directly
+         */
+        public function reorder( ): void {
+
+            $input = KPT::get_json_input( );
+            $target = self::REORDERABLE[$input['table'] ?? ''] ?? null;
+            $ids = $this -> cleanIds( $input['ids'] ?? [] );
+
+            if ( ! $target || ( $input['column'] ?? '' ) !== $target['column'] ) {
+                KPT::send_json( ['success' => false, 'message' => 'Those rows cannot be reordered.'], 400 );
+            }
+
+            if ( count( $ids ) < 2 || count( $ids ) > self::MAX_ROWS ) {
+                KPT::send_json( ['success' => false, 'message' => 'Nothing to reorder.'], 400 );
+            }
+
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+            $current = $this -> getValues( $target, $userId, $ids );
+
+            // the same numbers, in the order the table is sorted
+            $values = array_values( $current );
+            usort( $values, fn( $a, $b ) => ( float ) $a <=> ( float ) $b );
+            if ( strtoupper( ( string ) ( $input['direction'] ?? 'ASC' ) ) === 'DESC' ) {
+                $values = array_reverse( $values );
+            }
+
+            $ids = array_values( array_filter( $ids, fn( $id ) => isset( $current[$id] ) ) );
+            $changes = [];
+            foreach ( $ids as $i => $id ) {
+                if ( ( string ) $current[$id] !== ( string ) $values[$i] ) {
+                    $changes[$id] = $values[$i];
+                }
+            }
+
+            $this -> saveValues( $target, $userId, $changes );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => sprintf( 'Reordered %d row(s).', count( $changes ) ),
+                'data' => ['changed' => count( $changes )],
+            ] );
+        }
+
+        /**
+         * Show the channel numbers a renumber would give out, and what they collide with
+         *
+         * Expects a JSON body of { ids, start, step, order }
+         *
+         * @return void Outputs JSON directly
+         */
+        public function renumberPreview( ): void {
+
+            [$numbers, $collisions] = $this -> planRenumber( ( int ) KPT_User::get_current_user( ) -> id );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => [
+                    'streams' => array_values( array_map( fn( $rec ) => $rec + ['collisions' => $collisions[$rec['new']] ?? []], $numbers ) ),
+                    'collisions' => count( $collisions ),
+                ],
+            ] );
+        }
+
+        /**
+         * Give the streams sequential channel numbers
+         *
+         * Expects the same JSON body as renumberPreview( )
+         *
+         * @return void Outputs JSON directly
+         */
+        public function renumber( ): void {
+
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+            [$numbers] = $this -> planRenumber( $userId );
+
+            $changes = [];
+            foreach ( $numbers as $rec ) {
+                if ( $rec['old'] !== $rec['new'] ) {
+                    $changes[$rec['id']] = $rec['new'];
+                }
+            }
+
+            $this -> saveValues( self::REORDERABLE['streams'], $userId, $changes );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => sprintf( 'Renumbered %d stream(s).', count( $changes ) ),
+                'data' => ['changed' => count( $changes )],
+            ] );
+        }
+
+        /**
+         * Work out the new channel numbers from the posted settings
+         *
+         * @param int $userId The user the streams belong to
+         * @return array The streams with their old and new numbers, and the other streams already on those numbers
+         */
+        private function planRenumber( int $userId ): array {
+
+            $input = KPT::get_json_input( );
+            $ids = $this -> cleanIds( $input['ids'] ?? [] );
+            $start = max( 0, min( 99999, ( int ) ( $input['start'] ?? 1 ) ) );
+            $step = max( 1, min( 1000, ( int ) ( $input['step'] ?? 1 ) ) );
+            $order = in_array( $input['order'] ?? '', ['selected', 'name', 'channel'], true ) ? $input['order'] : 'selected';
+
+            if ( empty( $ids ) || count( $ids ) > self::MAX_ROWS ) {
+                KPT::send_json( ['success' => false, 'message' => sprintf( 'Select between 1 and %d streams to renumber.', self::MAX_ROWS )], 400 );
+            }
+
+            try {
+
+                // get the streams, but only the current user's
+                $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+                $rs = array_column( $this -> query( "SELECT `id`, `s_name`, `s_channel`, `s_type_id` FROM `kptv_streams` WHERE `u_id` = ? AND `id` IN ( $placeholders )" )
+                    -> bind( array_merge( [$userId], $ids ) )
+                    -> asArray( )
+                    -> fetch( ) ?: [], null, 'id' );
+
+                // put them in the order they get their numbers
+                $streams = array_values( array_filter( array_map( fn( $id ) => $rs[$id] ?? null, $ids ) ) );
+                if ( $order === 'name' ) {
+                    usort( $streams, fn( $a, $b ) => strnatcasecmp( ( string ) $a['s_name'], ( string ) $b['s_name'] ) );
+                } elseif ( $order === 'channel' ) {
+                    usort( $streams, fn( $a, $b ) => ( float ) $a['s_channel'] <=> ( float ) $b['s_channel'] );
+                }
+
+                $numbers = [];
+                foreach ( $streams as $i => $stream ) {
+                    $numbers[] = [
+                        'id' => ( int ) $stream['id'],
+                        'name' => $stream['s_name'],
+                        'old' => ( string ) $stream['s_channel'],
+                        'new' => ( string ) ( $start + $i * $step ),
+                    ];
+                }
+
+                $collisions = $this -> findCollisions( $userId, $streams, array_column( $numbers, 'new' ) );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Planning the channel renumber failed", [
+                    'user' => $userId,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'Failed to load the streams.'], 500 );
+            }
+
+            return [$numbers, $collisions];
+        }
+
+        /**
+         * Find the other active streams of the same types that already use the numbers
+         *
+         * @param int $userId The user the streams belong to
+         * @param array $streams The streams being renumbered
+         * @param array $numbers The numbers they will get
+         * @return array The names of the streams already on each number, keyed by number
+         */
+        private function findCollisions( int $userId, array $streams, array $numbers ): array {
+
+            if ( empty( $streams ) ) return [];
+
+            $types = array_values( array_unique( array_map( fn( $stream ) => ( int ) $stream['s_type_id'], $streams ) ) );
+            $ids = array_map( fn( $stream ) => ( int ) $stream['id'], $streams );
+
+            $rs = $this -> query( sprintf( "SELECT `s_name`, `s_channel` FROM `kptv_streams`
+                    WHERE `u_id` = ? AND `s_active` = 1 AND `s_type_id` IN ( %s ) AND `id` NOT IN ( %s ) AND `s_channel` IN ( %s )",
+                    implode( ', ', array_fill( 0, count( $types ), '?' ) ),
+                    implode( ', ', array_fill( 0, count( $ids ), '?' ) ),
+                    implode( ', ', array_fill( 0, count( $numbers ), '?' ) ) ) )
+                -> bind( array_merge( [$userId], $types, $ids, $numbers ) )
+                -> asArray( )
+                -> fetch( ) ?: [];
+
+            $ret = [];
+            foreach ( $rs as $rec ) {
+                $ret[( string ) $rec['s_channel']][] = $rec['s_name'];
+            }
+
+            return $ret;
+        }
+
+        /**
+         * Get the current numbers of the user's rows
+         *
+         * @param array $target The table and column
+         * @param int $userId The user the rows belong to
+         * @param array $ids The rows
+         * @return array The numbers, keyed by id
+         */
+        private function getValues( array $target, int $userId, array $ids ): array {
+
+            $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+            $rs = $this -> query( "SELECT `id`, `{$target['column']}` AS `val` FROM `{$target['table']}` WHERE `u_id` = ? AND `id` IN ( $placeholders )" )
+                -> bind( array_merge( [$userId], $ids ) )
+                -> asArray( )
+                -> fetch( ) ?: [];
+
+            return array_column( $rs, 'val', 'id' );
+        }
+
+        /**
+         * Save the new numbers, journaled so they can be undone
+         *
+         * @param array $target The table and column
+         * @param int $userId The user the rows belong to
+         * @param array $changes The new numbers, keyed by id
+         * @return void Outputs a JSON error if the save fails
+         */
+        private function saveValues( array $target, int $userId, array $changes ): void {
+
+            if ( empty( $changes ) ) return;
+
+            $journal = new KPTV_Change_Journal( );
+            $journal -> snapshot( $userId, array_keys( $changes ), $target['table'] );
+
+            try {
+
+                $this -> transaction( );
+
+                foreach ( $changes as $id => $value ) {
+                    $this -> query( "UPDATE `{$target['table']}` SET `{$target['column']}` = ? WHERE `id` = ? AND `u_id` = ?" )
+                        -> bind( [$value, $id, $userId] )
+                        -> execute( );
+                }
+
+                $this -> commit( );
+
+            } catch ( \Throwable $e ) {
+                $this -> rollback( );
+                Logger::error( "Saving the new order failed", [
+                    'user' => $userId,
+                    'table' => $target['table'],
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'The new order could not be saved.'], 500 );
+            }
+
+            $journal -> record( );
+        }
+
+        /**
+         * Type and dedupe posted ids, keeping their order
+         *
+         * @param mixed $ids The posted ids
+         * @return array The ids
+         */
+        private function cleanIds( mixed $ids ): array {
+
+            return array_values( array_unique( array_filter( array_map( 'intval', ( array ) $ids ), fn( $id ) => $id > 0 ) ) );
+        }
+
+    }
+
+}
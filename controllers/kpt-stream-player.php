@@ -0,0 +1,548 @@
+<?php
+/**
+ * KPTV Stream Player class
+ *
+ * Handles the data the web player sends back to the server
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_Stream_Player' ) ) {
+
+    /**
+     * KPTV Stream Player class
+     *
+     * Handles the data the web player sends back to the server
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_Stream_Player extends Database {
+
+        // the stream types we keep a watch position for (vod and series)
+        private const RESUMABLE_TYPES = [4, 5];
+
+        // where snapshot logos are kept, under the app root
+        private const SNAPSHOT_DIR = 'assets/snapshots/';
+
+        // the biggest snapshot we will take, in bytes
+        private const SNAPSHOT_MAX = 1048576;
+
+        // seconds in from the start, or left at the end, that count as not started or finished
+        private const RESUME_MIN = 10;
+        private const RESUME_END = 30;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Save a headless probe report to the stream it was run against
+         *
+         * Expects a JSON body of { id, report }
+         *
+         * @return void Outputs JSON directly
+         */
+        public function saveProbe( ): void {
+
+            // get the posted data
+            $input = KPT::get_json_input( );
+            $streamId = ( int ) ( $input['id'] ?? 0 );
+
+            // make sure we have something to save
+            if ( $streamId <= 0 || ! is_array( $input['report'] ?? null ) ) {
+                KPT::send_json( ['success' => false, 'message' => 'Invalid probe report.'], 400 );
+            }
+
+            // only keep what we know about
+            $report = $this -> sanitizeProbeReport( $input['report'] );
+
+            try {
+
+                // save it, but only to the current user's stream
+                $result = $this -> query( 'UPDATE `kptv_streams` SET `s_probe` = ? WHERE `id` = ? AND `u_id` = ?' )
+                    -> bind( [json_encode( $report, JSON_UNESCAPED_SLASHES ), $streamId, KPT_User::get_current_user( ) -> id] )
+                    -> execute( );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Saving the stream probe failed", [
+                    'stream' => $streamId,
+                    'error' => $e -> getMessage( )
+                ] );
+                $result = false;
+            }
+
+            // send the response
+            KPT::send_json( [
+                'success' => $result !== false,
+                'message' => $result !== false ? 'Probe saved.' : 'Failed to save the probe.',
+                'data' => ['summary' => $report['summary']],
+            ], $result !== false ? 200 : 500 );
+        }
+
+        /**
+         * Get the streams for the multi-view grid
+         *
+         * Expects a JSON body of { ids }, and refuses when opening them all
+         * would go over a provider's connection limit
+         *
+         * @return void Outputs JSON directly
+         */
+        public function multiView( ): void {
+
+            // get the posted ids
+            $input = KPT::get_json_input( );
+            $ids = array_values( array_unique( array_filter( array_map( 'intval', ( array ) ( $input['ids'] ?? [] ) ) ) ) );
+
+            // the grid holds 2 to 4 tiles
+            if ( count( $ids ) < 2 || count( $ids ) > 4 ) {
+                KPT::send_json( ['success' => false, 'message' => 'Select between 2 and 4 streams for the grid.'], 400 );
+            }
+
+            try {
+
+                // get the streams, but only the current user's
+                $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+                $rs = $this -> query( "SELECT s.`id`, s.`s_orig_name`, s.`s_channel`, s.`s_stream_uri`, s.`p_id`, p.`sp_name`, p.`sp_cnx_limit`
+                        FROM `kptv_streams` s
+                        LEFT JOIN `kptv_stream_providers` p ON s.`p_id` = p.`id`
+                        WHERE s.`u_id` = ? AND s.`id` IN ( $placeholders )" )
+                    -> bind( array_merge( [KPT_User::get_current_user( ) -> id], $ids ) )
+                    -> asArray( )
+                    -> fetch( ) ?: [];
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Loading the multi-view streams failed", [
+                    'ids' => $ids,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'Failed to load the streams.'], 500 );
+            }
+
+            // count the connections each provider would need
+            $providers = [];
+            foreach ( $rs as $rec ) {
+                $providers[$rec['p_id']] ??= ['name' => $rec['sp_name'], 'limit' => ( int ) $rec['sp_cnx_limit'], 'count' => 0];
+                $providers[$rec['p_id']]['count']++;
+            }
+
+            // a limit of 0 means the provider does not limit connections
+            foreach ( $providers as $provider ) {
+                if ( $provider['limit'] > 0 && $provider['count'] > $provider['limit'] ) {
+                    KPT::send_json( [
+                        'success' => false,
+                        'message' => sprintf( '%s allows %d connection(s), the grid would open %d.', $provider['name'] ?: 'A provider', $provider['limit'], $provider['count'] ),
+                    ], 409 );
+                }
+            }
+
+            // send back what the tiles need, in the order they were selected
+            $streams = array_column( array_map( fn( $rec ) => [
+                'id' => ( int ) $rec['id'],
+                'url' => $rec['s_stream_uri'],
+                'name' => $rec['s_orig_name'],
+                'channel' => $rec['s_channel'],
+                'provider' => $rec['p_id'],
+                'providerName' => $rec['sp_name'],
+            ], $rs ), null, 'id' );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => ['streams' => array_values( array_filter( array_map( fn( $id ) => $streams[$id] ?? null, $ids ) ) )],
+            ] );
+        }
+
+        /**
+         * Say if recording a stream can open a second connection to its provider
+         *
+         * Expects a JSON body of { id }, the player already holds one connection
+         * so the provider has to allow two, or not limit them at all
+         *
+         * @return void Outputs JSON directly
+         */
+        public function recordConnection( ): void {
+
+            $streamId = ( int ) ( KPT::get_json_input( )['id'] ?? 0 );
+
+            try {
+
+                // the stream's provider, but only the current user's
+                $limit = $this -> query( 'SELECT p.`sp_cnx_limit`
+                        FROM `kptv_streams` s
+                        LEFT JOIN `kptv_stream_providers` p ON s.`p_id` = p.`id`
+                        WHERE s.`id` = ? AND s.`u_id` = ?' )
+                    -> bind( [$streamId, KPT_User::get_current_user( ) -> id] )
+                    -> single( )
+                    -> fetch( );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Checking the recording connection failed", [
+                    'id' => $streamId,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'Failed to load the stream.'], 500 );
+            }
+
+            if ( ! $limit ) {
+                KPT::send_json( ['success' => false, 'message' => 'Stream not found.'], 404 );
+            }
+
+            // a limit of 0 means the provider does not limit connections
+            $cnxLimit = ( int ) $limit -> sp_cnx_limit;
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => ['allowed' => $cnxLimit === 0 || $cnxLimit > 1, 'limit' => $cnxLimit],
+            ] );
+        }
+
+        /**
+         * Save a video frame as a stream's logo
+         *
+         * Expects a JSON body of { id, image } where image is a JPEG, PNG or WebP
+         * data URL, then points the stream's s_tvg_logo at the saved file
+         *
+         * @return void Outputs JSON directly
+         */
+        public function saveSnapshot( ): void {
+
+            $input = KPT::get_json_input( );
+            $streamId = ( int ) ( $input['id'] ?? 0 );
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+
+            // pull the image out of the data url
+            $bytes = preg_match( '/^data:image\/(jpeg|png|webp);base64,([A-Za-z0-9+\/=]+)$/', ( string ) ( $input['image'] ?? '' ), $m )
+                ? base64_decode( $m[2], true )
+                : false;
+
+            if ( $streamId <= 0 || ! $bytes || strlen( $bytes ) > self::SNAPSHOT_MAX ) {
+                KPT::send_json( ['success' => false, 'message' => 'Invalid snapshot.'], 400 );
+            }
+
+            // make sure it really is the image it says it is
+            $info = @getimagesizefromstring( $bytes );
+            $types = [IMAGETYPE_JPEG => 'jpg', IMAGETYPE_PNG => 'png', IMAGETYPE_WEBP => 'webp'];
+            if ( ! $info || ! isset( $types[$info[2]] ) ) {
+                KPT::send_json( ['success' => false, 'message' => 'Invalid snapshot.'], 400 );
+            }
+
+            try {
+
+                // only the user's own stream
+                $stream = $this -> query( 'SELECT `id` FROM `kptv_streams` WHERE `id` = ? AND `u_id` = ?' )
+                    -> bind( [$streamId, $userId] )
+                    -> single( )
+                    -> fetch( );
+
+                if ( ! $stream ) {
+                    KPT::send_json( ['success' => false, 'message' => 'Stream not found.'], 404 );
+                }
+
+                // write it out, replacing any earlier snapshot of the stream
+                $dir = KPT_PATH . self::SNAPSHOT_DIR;
+                if ( ! is_dir( $dir ) && ! mkdir( $dir, 0755, true ) ) {
+                    throw new \RuntimeException( 'Could not create the snapshot directory' );
+                }
+
+                $file = "{$userId}-{$streamId}.{$types[$info[2]]}";
+                array_map( 'unlink', glob( $dir . "{$userId}-{$streamId}.*" ) ?: [] );
+                if ( file_put_contents( $dir . $file, $bytes ) === false ) {
+                    throw new \RuntimeException( 'Could not write the snapshot' );
+                }
+
+                // the version busts caches in the table and in players
+                $logo = KPT_URI . self::SNAPSHOT_DIR . $file . '?v=' . time( );
+                $result = $this -> query( 'UPDATE `kptv_streams` SET `s_tvg_logo` = ? WHERE `id` = ? AND `u_id` = ?' )
+                    -> bind( [$logo, $streamId, $userId] )
+                    -> execute( );
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Saving the snapshot failed", [
+                    'stream' => $streamId,
+                    'error' => $e -> getMessage( )
+                ] );
+                $result = false;
+            }
+
+            KPT::send_json( [
+                'success' => $result !== false,
+                'message' => $result !== false ? 'Snapshot saved as the logo.' : 'Failed to save the snapshot.',
+                'data' => ['logo' => $result !== false ? $logo : null],
+            ], $result !== false ? 200 : 500 );
+        }
+
+        /**
+         * Count a play or a failed play against a stream's health
+         *
+         * Expects a JSON body of { id, success, reason }, and deactivates the
+         * stream when it fails as many times in a row as the user allows
+         *
+         * @return void Outputs JSON directly
+         */
+        public function reportPlayback( ): void {
+
+            $input = KPT::get_json_input( );
+            $streamId = ( int ) ( $input['id'] ?? 0 );
+            $success = ! empty( $input['success'] );
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+
+            if ( $streamId <= 0 ) {
+                KPT::send_json( ['success' => false, 'message' => 'Invalid report.'], 400 );
+            }
+
+            // same cleanup as the probe reasons
+            $reason = is_scalar( $input['reason'] ?? null )
+                ? mb_substr( trim( preg_replace( '/[^\w\s.,:;()\/+\-]/u', '', ( string ) $input['reason'] ) ), 0, 255 )
+                : '';
+            $deactivated = false;
+
+            try {
+
+                if ( $success ) {
+                    $result = $this -> query( 'UPDATE `kptv_streams` SET `s_health_ok` = `s_health_ok` + 1, `s_health_streak` = 0, `s_health_at` = NOW() WHERE `id` = ? AND `u_id` = ?' )
+                        -> bind( [$streamId, $userId] )
+                        -> execute( );
+                } else {
+                    $result = $this -> query( 'UPDATE `kptv_streams` SET `s_health_fail` = `s_health_fail` + 1, `s_health_streak` = `s_health_streak` + 1, `s_health_reason` = ?, `s_health_at` = NOW() WHERE `id` = ? AND `u_id` = ?' )
+                        -> bind( [$reason ?: 'Unknown', $streamId, $userId] )
+                        -> execute( );
+
+                    $deactivated = $result !== false && $this -> deactivateIfDead( $userId, $streamId );
+                }
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Saving the playback report failed", [
+                    'stream' => $streamId,
+                    'error' => $e -> getMessage( )
+                ] );
+                $result = false;
+            }
+
+            KPT::send_json( [
+                'success' => $result !== false,
+                'message' => $result !== false ? 'Report saved.' : 'Failed to save the report.',
+                'data' => ['deactivated' => $deactivated],
+            ], $result !== false ? 200 : 500 );
+        }
+
+        /**
+         * Deactivate a stream that has failed too many times in a row
+         *
+         * It goes on the missing list with the last failure, and its streak
+         * starts over so turning it back on gives it a fresh run
+         *
+         * @param int $userId The user
+         * @param int $streamId The stream
+         * @return bool If it was deactivated
+         */
+        private function deactivateIfDead( int $userId, int $streamId ): bool {
+
+            $threshold = ( int ) ( ( new KPTV_User_Settings( ) ) -> getSettings( $userId )['auto_deactivate_after'] ?? 0 );
+            if ( $threshold <= 0 ) return false;
+
+            $stream = $this -> query( 'SELECT `p_id`, `s_health_streak`, `s_health_reason` FROM `kptv_streams` WHERE `id` = ? AND `u_id` = ? AND `s_active` = 1' )
+                -> bind( [$streamId, $userId] )
+                -> single( )
+                -> fetch( );
+
+            if ( ! $stream || ( int ) $stream -> s_health_streak < $threshold ) return false;
+
+            $this -> transaction( );
+
+            try {
+
+                $this -> query( 'UPDATE `kptv_streams` SET `s_active` = 0, `s_health_streak` = 0 WHERE `id` = ? AND `u_id` = ?' )
+                    -> bind( [$streamId, $userId] )
+                    -> execute( );
+
+                $this -> query( 'INSERT IGNORE INTO `kptv_stream_missing` (`u_id`, `p_id`, `stream_id`, `other_id`, `created_at`, `reason`) VALUES (?, ?, ?, 0, NOW(), ?)' )
+                    -> bind( [$userId, ( int ) $stream -> p_id, $streamId, mb_substr( sprintf( 'Failed %d plays in a row: %s', $stream -> s_health_streak, $stream -> s_health_reason ), 0, 255 )] )
+                    -> execute( );
+
+                $this -> commit( );
+
+            } catch ( \Throwable $e ) {
+                $this -> rollback( );
+                throw $e;
+            }
+
+            return true;
+        }
+
+        /**
+         * Save where the user is in a series or VOD stream
+         *
+         * Expects a JSON body of { id, position, duration } in seconds, finishing
+         * (or barely starting) a stream clears its position
+         *
+         * @return void Outputs JSON directly
+         */
+        public function saveProgress( ): void {
+
+            $input = KPT::get_json_input( );
+            $streamId = ( int ) ( $input['id'] ?? 0 );
+            $position = max( 0, ( int ) ( $input['position'] ?? 0 ) );
+            $duration = max( 0, ( int ) ( $input['duration'] ?? 0 ) );
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+
+            if ( $streamId <= 0 || $duration <= 0 ) {
+                KPT::send_json( ['success' => false, 'message' => 'Invalid position.'], 400 );
+            }
+
+            try {
+
+                // only the user's own series and vod
+                $placeholders = implode( ', ', array_fill( 0, count( self::RESUMABLE_TYPES ), '?' ) );
+                $stream = $this -> query( "SELECT `id` FROM `kptv_streams` WHERE `id` = ? AND `u_id` = ? AND `s_type_id` IN ( $placeholders )" )
+                    -> bind( array_merge( [$streamId, $userId], self::RESUMABLE_TYPES ) )
+                    -> single( )
+                    -> fetch( );
+
+                if ( ! $stream ) {
+                    KPT::send_json( ['success' => false, 'message' => 'This stream does not keep a position.'], 404 );
+                }
+
+                // done with it, or never really started
+                if ( $position < self::RESUME_MIN || $position > $duration - self::RESUME_END ) {
+                    $result = $this -> query( 'DELETE FROM `kptv_watch_progress` WHERE `u_id` = ? AND `s_id` = ?' )
+                        -> bind( [$userId, $streamId] )
+                        -> execute( );
+                } else {
+                    $result = $this -> query( 'INSERT INTO `kptv_watch_progress` (`u_id`, `s_id`, `wp_position`, `wp_duration`) VALUES (?, ?, ?, ?)
+                            ON DUPLICATE KEY UPDATE `wp_position` = VALUES(`wp_position`), `wp_duration` = VALUES(`wp_duration`)' )
+                        -> bind( [$userId, $streamId, $position, $duration] )
+                        -> execute( );
+                }
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Saving the watch position failed", [
+                    'stream' => $streamId,
+                    'error' => $e -> getMessage( )
+                ] );
+                $result = false;
+            }
+
+            KPT::send_json( [
+                'success' => $result !== false,
+                'message' => $result !== false ? 'Position saved.' : 'Failed to save the position.',
+            ], $result !== false ? 200 : 500 );
+        }
+
+        /**
+         * Get where the user left off in a stream
+         *
+         * @return void Outputs JSON directly
+         */
+        public function getProgress( ): void {
+
+            $streamId = ( int ) ( $_GET['id'] ?? 0 );
+
+            $rec = $streamId > 0 ? $this -> query( 'SELECT `wp_position`, `wp_duration` FROM `kptv_watch_progress` WHERE `u_id` = ? AND `s_id` = ?' )
+                -> bind( [KPT_User::get_current_user( ) -> id, $streamId] )
+                -> single( )
+                -> fetch( ) : false;
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => [
+                    'position' => $rec ? ( int ) $rec -> wp_position : 0,
+                    'duration' => $rec ? ( int ) $rec -> wp_duration : 0,
+                ],
+            ] );
+        }
+
+        /**
+         * The user's partly watched streams of a type, most recent first
+         *
+         * @param int $userId The user
+         * @param int $typeId The stream type
+         * @param int $limit How many to get
+         * @return array The streams with their position and duration
+         */
+        public function getContinueWatching( int $userId, int $typeId, int $limit = 12 ): array {
+
+            if ( ! in_array( $typeId, self::RESUMABLE_TYPES, true ) ) return [];
+
+            $limit = max( 1, min( 50, $limit ) );
+
+            return $this -> query( "SELECT s.`id`, s.`s_name`, s.`s_orig_name`, s.`s_channel`, s.`s_stream_uri`, s.`s_tvg_logo`, s.`s_type_id`, s.`p_id`,
+                    w.`wp_position`, w.`wp_duration`
+                    FROM `kptv_watch_progress` w
+                    INNER JOIN `kptv_streams` s ON s.`id` = w.`s_id` AND s.`u_id` = w.`u_id`
+                    WHERE w.`u_id` = ? AND s.`s_type_id` = ? AND s.`s_active` = 1
+                    ORDER BY w.`wp_updated` DESC LIMIT $limit" )
+                -> bind( [$userId, $typeId] )
+                -> fetch( ) ?: [];
+        }
+
+        /**
+         * Whitelist and type the values of a probe report
+         *
+         * The summary ends up in the streams table as-is, so it is built
+         * here from the typed values instead of trusting the browser
+         *
+         * @param array $report The report the player built
+         * @return array The cleaned up report
+         */
+        private function sanitizeProbeReport( array $report ): array {
+
+            // keep short, plain strings
+            $text = fn( $val, int $len = 64 ) => is_scalar( $val ) && $val !== ''
+                ? mb_substr( preg_replace( '/[^\w\s.,:;()\/+\-]/u', '', ( string ) $val ), 0, $len )
+                : null;
+            $int = fn( $val ) => is_numeric( $val ) ? max( 0, ( int ) $val ) : null;
+            $engine = fn( $val ) => is_string( $val ) && preg_match( '/^[a-z0-9\-]{1,32}$/', $val ) ? $val : null;
+
+            $ret = [
+                'success' => ! empty( $report['success'] ),
+                'engine' => $engine( $report['engine'] ?? null ),
+                'stream_type' => $text( $report['streamType'] ?? null, 16 ),
+                'time_to_first_frame' => $int( $report['timeToFirstFrame'] ?? null ),
+                'width' => $int( $report['width'] ?? null ),
+                'height' => $int( $report['height'] ?? null ),
+                'video_codec' => $text( $report['videoCodec'] ?? null ),
+                'audio_codec' => $text( $report['audioCodec'] ?? null ),
+                'failures' => [],
+                'probed_at' => date( 'Y-m-d H:i:s' ),
+            ];
+
+            // the per engine failures
+            foreach ( array_slice( ( array ) ( $report['failures'] ?? [] ), 0, 10 ) as $failure ) {
+                if ( ! is_array( $failure ) ) continue;
+                $ret['failures'][] = [
+                    'engine' => $engine( $failure['engine'] ?? null ),
+                    'reason' => $text( $failure['reason'] ?? null, 255 ),
+                    'ms' => $int( $failure['ms'] ?? null ),
+                ];
+            }
+
+            // build the summary for the table
+            if ( ! $ret['success'] ) {
+                $ret['summary'] = 'Dead';
+            } else {
+                $ret['summary'] = trim( implode( ' ', array_filter( [
+                    $ret['width'] && $ret['height'] ? "{$ret['width']}x{$ret['height']}" : 'No Video',
+                    $ret['engine'],
+                    $ret['time_to_first_frame'] !== null ? "{$ret['time_to_first_frame']}ms" : null,
+                ] ) ) );
+            }
+
+            return $ret;
+        }
+
+    }
+
+}
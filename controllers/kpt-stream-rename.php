@@ -0,0 +1,268 @@
+<?php
+/**
+ * KPTV Stream Rename class
+ *
+ * Handles renaming a batch of streams with find/replace and cleanup rules
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_Stream_Rename' ) ) {
+
+    /**
+     * KPTV Stream Rename class
+     *
+     * Handles renaming a batch of streams with find/replace and cleanup rules
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_Stream_Rename extends Database {
+
+        // the most streams one rename can touch
+        private const MAX_STREAMS = 5000;
+
+        // the columns a new name can be built from
+        private const SOURCES = ['s_name', 's_orig_name'];
+
+        // provider tags, a leading "US:" or "UK |", and anything wrapped in pipes or brackets like "|HD|" or "[FHD]"
+        private const TAG_PATTERNS = [
+            '/^\s*[A-Z0-9]{2,4}\s*[:|]\s*/u',
+            '/\s*\|[^|]{1,12}\|\s*/u',
+            '/\s*\[[^\]]{1,12}\]\s*/u',
+        ];
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Show what a rename would do, without saving anything
+         *
+         * Expects a JSON body of { ids, rules }
+         *
+         * @return void Outputs JSON directly
+         */
+        public function preview( ): void {
+
+            [$streams, $rules] = $this -> prepare( );
+
+            $changes = $this -> rename( $streams, $rules );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => '',
+                'data' => [
+                    'total' => count( $streams ),
+                    'changes' => array_values( $changes ),
+                ],
+            ] );
+        }
+
+        /**
+         * Rename the streams
+         *
+         * Expects the same JSON body as preview( ), the names are worked out
+         * again here so nothing the browser sends back ends up in the table
+         *
+         * @return void Outputs JSON directly
+         */
+        public function apply( ): void {
+
+            [$streams, $rules] = $this -> prepare( );
+
+            $changes = $this -> rename( $streams, $rules );
+            if ( empty( $changes ) ) {
+                KPT::send_json( ['success' => false, 'message' => 'None of the names would change.'], 400 );
+            }
+
+            $userId = ( int ) KPT_User::get_current_user( ) -> id;
+            $journal = new KPTV_Change_Journal( );
+            $journal -> snapshot( $userId, array_keys( $changes ) );
+
+            try {
+
+                $this -> transaction( );
+
+                foreach ( $changes as $change ) {
+                    $this -> query( 'UPDATE `kptv_streams` SET `s_name` = ? WHERE `id` = ? AND `u_id` = ?' )
+                        -> bind( [$change['new'], $change['id'], $userId] )
+                        -> execute( );
+                }
+
+                $this -> commit( );
+
+            } catch ( \Throwable $e ) {
+                $this -> rollback( );
+                Logger::error( "Renaming the streams failed", [
+                    'user' => $userId,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'The streams could not be renamed.'], 500 );
+            }
+
+            // so it can be undone
+            $journal -> record( );
+
+            KPT::send_json( [
+                'success' => true,
+                'message' => sprintf( 'Renamed %d stream(s).', count( $changes ) ),
+                'data' => ['renamed' => count( $changes )],
+            ] );
+        }
+
+        /**
+         * Load the posted streams and check the posted rules
+         *
+         * @return array The streams keyed by id, and the cleaned up rules
+         */
+        private function prepare( ): array {
+
+            $input = KPT::get_json_input( );
+            $ids = array_values( array_unique( array_filter( array_map( 'intval', ( array ) ( $input['ids'] ?? [] ) ) ) ) );
+
+            if ( empty( $ids ) ) {
+                KPT::send_json( ['success' => false, 'message' => 'Select the streams to rename.'], 400 );
+            }
+
+            if ( count( $ids ) > self::MAX_STREAMS ) {
+                KPT::send_json( ['success' => false, 'message' => sprintf( 'Rename at most %d streams at a time.', self::MAX_STREAMS )], 400 );
+            }
+
+            $rules = $this -> cleanRules( ( array ) ( $input['rules'] ?? [] ) );
+
+            // a bad pattern is the user's to fix, so say why
+            if ( $rules['find'] !== '' && $rules['regex'] && @preg_match( $rules['pattern'], '' ) === false ) {
+                KPT::send_json( ['success' => false, 'message' => 'That is not a valid pattern: ' . preg_last_error_msg( )], 400 );
+            }
+
+            try {
+
+                // get the streams, but only the current user's
+                $placeholders = implode( ', ', array_fill( 0, count( $ids ), '?' ) );
+                $rs = $this -> query( "SELECT `id`, `s_name`, `s_orig_name` FROM `kptv_streams` WHERE `u_id` = ? AND `id` IN ( $placeholders ) ORDER BY `s_name`" )
+                    -> bind( array_merge( [KPT_User::get_current_user( ) -> id], $ids ) )
+                    -> asArray( )
+                    -> fetch( ) ?: [];
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Loading the streams to rename failed", [
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::send_json( ['success' => false, 'message' => 'Failed to load the streams.'], 500 );
+            }
+
+            return [array_column( $rs, null, 'id' ), $rules];
+        }
+
+        /**
+         * Work out the new names
+         *
+         * @param array $streams The streams keyed by id
+         * @param array $rules The cleaned up rules
+         * @return array The streams whose name would change, keyed by id
+         */
+        private function rename( array $streams, array $rules ): array {
+
+            $changes = [];
+
+            foreach ( $streams as $id => $stream ) {
+
+                $old = ( string ) $stream['s_name'];
+                $new = $this -> applyRules( ( string ) $stream[$rules['source']], $rules );
+
+                // never blank out a name
+                if ( $new === '' || $new === $old ) continue;
+
+                $changes[$id] = ['id' => ( int ) $id, 'old' => $old, 'new' => $new];
+            }
+
+            return $changes;
+        }
+
+        /**
+         * Run the rules over one name, in the order the dialog shows them
+         *
+         * @param string $name The source name
+         * @param array $rules The cleaned up rules
+         * @return string The new name
+         */
+        private function applyRules( string $name, array $rules ): string {
+
+            // provider tags
+            if ( $rules['strip_tags'] ) {
+                $name = preg_replace( self::TAG_PATTERNS, ' ', $name ) ?? $name;
+            }
+
+            // find and replace
+            if ( $rules['find'] !== '' ) {
+                $name = $rules['regex']
+                    ? ( preg_replace( $rules['pattern'], $rules['replace'], $name ) ?? $name )
+                    : ( $rules['ignore_case'] ? str_ireplace( $rules['find'], $rules['replace'], $name ) : str_replace( $rules['find'], $rules['replace'], $name ) );
+            }
+
+            // prefixes and suffixes
+            $name = trim( $name );
+            if ( $rules['strip_prefix'] !== '' && str_starts_with( $name, $rules['strip_prefix'] ) ) {
+                $name = substr( $name, strlen( $rules['strip_prefix'] ) );
+            }
+            if ( $rules['strip_suffix'] !== '' && str_ends_with( $name, $rules['strip_suffix'] ) ) {
+                $name = substr( $name, 0, -strlen( $rules['strip_suffix'] ) );
+            }
+            $name = $rules['add_prefix'] . trim( $name ) . $rules['add_suffix'];
+
+            // case
+            $name = match ( $rules['case'] ) {
+                'upper' => mb_strtoupper( $name ),
+                'lower' => mb_strtolower( $name ),
+                'title' => mb_convert_case( $name, MB_CASE_TITLE ),
+                default => $name,
+            };
+
+            // tidy up the spacing the rules leave behind
+            return mb_substr( trim( preg_replace( '/\s{2,}/u', ' ', $name ) ?? $name ), 0, 255 );
+        }
+
+        /**
+         * Type the posted rules and build the pattern
+         *
+         * @param array $rules The posted rules
+         * @return array The cleaned up rules
+         */
+        private function cleanRules( array $rules ): array {
+
+            $text = fn( string $key ) => mb_substr( ( string ) ( $rules[$key] ?? '' ), 0, 255 );
+
+            $ret = [
+                'source' => in_array( $rules['source'] ?? '', self::SOURCES, true ) ? $rules['source'] : 's_name',
+                'find' => $text( 'find' ),
+                'replace' => $text( 'replace' ),
+                'regex' => ! empty( $rules['regex'] ),
+                'ignore_case' => ! empty( $rules['ignore_case'] ),
+                'strip_tags' => ! empty( $rules['strip_tags'] ),
+                'add_prefix' => $text( 'add_prefix' ),
+                'strip_prefix' => $text( 'strip_prefix' ),
+                'add_suffix' => $text( 'add_suffix' ),
+                'strip_suffix' => $text( 'strip_suffix' ),
+                'case' => in_array( $rules['case'] ?? '', ['upper', 'lower', 'title'], true ) ? $rules['case'] : '',
+            ];
+
+            // the pattern comes without delimiters, so escape any bare slashes in it
+            $ret['pattern'] = '/' . preg_replace( '#(?<!\\\\)/#', '\/', $ret['find'] ) . '/u' . ( $ret['ignore_case'] ? 'i' : '' );
+
+            return $ret;
+        }
+
+    }
+
+}
@@ -0,0 +1,172 @@
+<?php
+/**
+ * KPTV User Settings class
+ *
+ * Handles the per user preferences
+ *
+ * @since 8.4
+ * @package KP Library
+ * @author Kevin Pirnie <me@kpirnie.com>
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+use KPT\Database;
+use KPT\Logger;
+
+// make sure the class isn't already in userspace
+if( ! class_exists( 'KPTV_User_Settings' ) ) {
+
+    /**
+     * KPTV User Settings class
+     *
+     * Handles the per user preferences
+     *
+     * @since 8.4
+     * @package KP Library
+     * @author Kevin Pirnie <me@kpirnie.com>
+     */
+    class KPTV_User_Settings extends Database {
+
+        // the settings we know about, and their defaults
+        public const SETTINGS = [
+            'engine_order' => ['type' => 'list', 'default' => []],
+            'proxy_mode' => ['type' => 'choice', 'default' => 'auto', 'options' => ['auto', 'proxy', 'direct']],
+            'max_bitrate' => ['type' => 'int', 'default' => 0, 'min' => 0, 'max' => 1000000],
+            'timeshift_minutes' => ['type' => 'int', 'default' => 5, 'min' => 0, 'max' => 60],
+            'auto_deactivate_after' => ['type' => 'int', 'default' => 0, 'min' => 0, 'max' => 100],
+        ];
+
+        // the current user's settings, loaded once per request
+        private static ?array $current = null;
+
+        public function __construct( ) {
+            parent::__construct( KPT::get_setting( 'database' ) );
+        }
+
+        /**
+         * Get the current user's settings
+         *
+         * @return array The settings, with defaults filled in
+         */
+        public static function current( ): array {
+
+            // we already have them
+            if ( self::$current !== null ) return self::$current;
+
+            // no user, no settings
+            $user = KPT_User::get_current_user( );
+            if ( ! $user ) return array_map( fn( $setting ) => $setting['default'], self::SETTINGS );
+
+            // load them up
+            return self::$current = ( new self( ) ) -> getSettings( ( int ) $user -> id );
+        }
+
+        /**
+         * Get a user's settings
+         *
+         * @param int $userId The user to get the settings for
+         * @return array The settings, with defaults filled in
+         */
+        public function getSettings( int $userId ): array {
+
+            // start with the defaults
+            $ret = array_map( fn( $setting ) => $setting['default'], self::SETTINGS );
+
+            // get what the user has saved
+            $rs = $this -> query( 'SELECT `us_key`, `us_value` FROM `kptv_user_settings` WHERE `u_id` = ?' )
+                -> bind( [$userId] )
+                -> asArray( )
+                -> fetch( ) ?: [];
+
+            // only keep the ones we still know about
+            foreach ( $rs as $rec ) {
+                if ( isset( self::SETTINGS[$rec['us_key']] ) ) {
+                    $ret[$rec['us_key']] = json_decode( $rec['us_value'], true ) ?? self::SETTINGS[$rec['us_key']]['default'];
+                }
+            }
+
+            return $ret;
+        }
+
+        /**
+         * Handle the settings form submission
+         *
+         * @return void Redirects back to the settings page
+         */
+        public function saveSettings( ): void {
+
+            $user = KPT_User::get_current_user( );
+            $posted = ( array ) ( $_POST['settings'] ?? [] );
+
+            try {
+
+                // save each of the settings we know about
+                foreach ( self::SETTINGS as $key => $setting ) {
+                    $this -> saveSetting( ( int ) $user -> id, $key, $this -> cleanValue( $key, $posted[$key] ?? $setting['default'] ) );
+                }
+
+            } catch ( \Throwable $e ) {
+                Logger::error( "Saving the user settings failed", [
+                    'user' => $user -> id,
+                    'error' => $e -> getMessage( )
+                ] );
+                KPT::message_with_redirect( '/users/settings', 'danger', 'Your settings could not be saved.' );
+                return;
+            }
+
+            KPT::message_with_redirect( '/users/settings', 'success', 'Your settings have been saved.' );
+        }
+
+        /**
+         * Save a single setting for a user
+         *
+         * @param int $userId The user to save it for
+         * @param string $key The setting
+         * @param mixed $value The already cleaned up value
+         * @return bool If it saved
+         */
+        private function saveSetting( int $userId, string $key, mixed $value ): bool {
+
+            return $this -> query( 'INSERT INTO `kptv_user_settings` (`u_id`, `us_key`, `us_value`) VALUES (?, ?, ?)
+                    ON DUPLICATE KEY UPDATE `us_value` = VALUES(`us_value`)' )
+                -> bind( [$userId, $key, json_encode( $value )] )
+                -> execute( ) !== false;
+        }
+
+        /**
+         * Type and validate a posted setting value
+         *
+         * @param string $key The setting
+         * @param mixed $value The posted value
+         * @return mixed The cleaned up value
+         */
+        private function cleanValue( string $key, mixed $value ): mixed {
+
+            $setting = self::SETTINGS[$key];
+
+            switch ( $setting['type'] ) {
+
+                // comma separated list of short names
+                case 'list':
+                    $items = is_array( $value ) ? $value : explode( ',', ( string ) $value );
+                    $items = array_map( fn( $item ) => strtolower( trim( ( string ) $item ) ), $items );
+                    return array_values( array_unique( array_filter( $items, fn( $item ) => preg_match( '/^[a-z0-9\-]{1,32}$/', $item ) ) ) );
+
+                // whole number, kept inside its range
+                case 'int':
+                    if ( ! is_numeric( $value ) ) return $setting['default'];
+                    return max( $setting['min'] ?? PHP_INT_MIN, min( $setting['max'] ?? PHP_INT_MAX, ( int ) $value ) );
+
+                // one of a fixed set of options
+                case 'choice':
+                    return in_array( $value, $setting['options'], true ) ? $value : $setting['default'];
+            }
+
+            return $setting['default'];
+        }
+
+    }
+
+}
@@ -630,15 +630,52 @@ if( ! class_exists( 'KPTV_XtreamAPI' ) ) {
         }
 
         /**
-         * Get short EPG (empty placeholder)
+         * Get short EPG from the user's imported guide
          */
         private function getShortEpg(): void {
-            $streamId = $_GET['stream_id'] ?? null;
-            $limit = $_GET['limit'] ?? 4;
+            $streamId = (int)($_GET['stream_id'] ?? 0);
+            $full = ($_GET['action'] ?? '') === 'get_simple_data_table';
+            $limit = $full ? 50 : (int)($_GET['limit'] ?? 4);
+            
+            $stream = $this->query('SELECT s_tvg_id FROM kptv_streams WHERE id = ? AND u_id = ?')
+                           ->bind([$streamId, $this->userId])
+                           ->single()
+                           ->fetch();
+            
+            if ( !$stream || empty($stream->s_tvg_id) ) {
+                $this->sendSuccess([
+                    'epg_listings' => [],
+                ]);
+                return;
+            }
+            
+            $now = time();
+            $listings = [];
+            
+            foreach ( (new KPTV_EPG())->getListings($this->userId, $stream->s_tvg_id, $limit) as $i => $item ) {
+                $listing = [
+                    'id' => (string)($i + 1),
+                    'epg_id' => (string)$streamId,
+                    'title' => base64_encode($item['title']),
+                    'lang' => '',
+                    'start' => date('Y-m-d H:i:s', $item['start']),
+                    'end' => date('Y-m-d H:i:s', $item['stop']),
+                    'description' => base64_encode($item['desc']),
+                    'channel_id' => $stream->s_tvg_id,
+                    'start_timestamp' => (string)$item['start'],
+                    'stop_timestamp' => (string)$item['stop'],
+                ];
+                
+                if ( $full ) {
+                    $listing['now_playing'] = ($item['start'] <= $now && $item['stop'] > $now) ? 1 : 0;
+                    $listing['has_archive'] = 0;
+                }
+                
+                $listings[] = $listing;
+            }
             
-            // Return empty EPG data
             $this->sendSuccess([
-                'epg_listings' => [],
+                'epg_listings' => $listings,
             ]);
         }
 
@@ -8,6 +8,8 @@
 // no direct access
 defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
 
+use KPT\KPT;
+
 // Configuration
 define('ALLOWED_DOMAINS', [
     // Add your allowed stream domains here for security
@@ -17,10 +19,13 @@ define('ALLOWED_DOMAINS', [
 
 define('MAX_REDIRECTS', 5);
 define('STREAM_CHUNK_SIZE', 4096); // 4KB chunks for streaming
+define('SNIFF_BYTES', 1024); // How much of a stream we read to work out its type
 
 class LiveStreamProxy {
     private string $url;
     private array $responseHeaders = [];
+    private string $sniffed = '';
+    private string $sniffedContentType = '';
     
     /**
      * Main handler
@@ -53,10 +58,21 @@ class LiveStreamProxy {
                 return;
             }
             
+            // Only work out what kind of stream it is
+            if (!empty($_GET['sniff'])) {
+                $this->sniffStream();
+                return;
+            }
+            
             // Determine content type and handle accordingly
             $urlPath = parse_url($this->url, PHP_URL_PATH);
             $extension = strtolower(pathinfo($urlPath, PATHINFO_EXTENSION));
             
+            // The player can tell us it sniffed a playlist behind an extensionless URL
+            if (($_GET['type'] ?? '') === 'hls') {
+                $extension = 'm3u8';
+            }
+            
             switch ($extension) {
                 case 'm3u8':
                     $this->handleM3U8();
@@ -96,6 +112,7 @@ class LiveStreamProxy {
         
         $content = curl_exec($ch);
         $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $effectiveUrl = curl_getinfo($ch, CURLINFO_EFFECTIVE_URL);
         curl_close($ch);
         
         if ($httpCode !== 200 || $content === false) {
@@ -103,6 +120,11 @@ class LiveStreamProxy {
             return;
         }
         
+        // Relative entries are relative to where we got redirected to
+        if ($effectiveUrl) {
+            $this->url = $effectiveUrl;
+        }
+        
         // Process playlist - convert relative URLs to absolute via proxy
         $processedContent = $this->processM3U8($content);
         
@@ -153,6 +175,105 @@ class LiveStreamProxy {
         return implode("\n", $processed);
     }
     
+    /**
+     * Read the first bytes of a stream and report what type it is as JSON
+     */
+    private function sniffStream(): void {
+        $ch = curl_init($this->url);
+        curl_setopt_array($ch, [
+            CURLOPT_RETURNTRANSFER => false,
+            CURLOPT_FOLLOWLOCATION => true,
+            CURLOPT_MAXREDIRS => MAX_REDIRECTS,
+            CURLOPT_CONNECTTIMEOUT => 5,
+            CURLOPT_TIMEOUT => 10,
+            CURLOPT_SSL_VERIFYPEER => false,
+            CURLOPT_SSL_VERIFYHOST => false,
+            CURLOPT_HTTPHEADER => [
+                'User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Range: bytes=0-' . (SNIFF_BYTES - 1)
+            ],
+            CURLOPT_HEADERFUNCTION => [$this, 'captureSniffHeader'],
+            CURLOPT_WRITEFUNCTION => [$this, 'captureSniffBody']
+        ]);
+        
+        // Aborts with a write error once we have enough, which is expected
+        curl_exec($ch);
+        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $effectiveUrl = curl_getinfo($ch, CURLINFO_EFFECTIVE_URL);
+        curl_close($ch);
+        
+        KPT::send_json([
+            'success' => $this->sniffed !== '',
+            'type' => $this->detectType($this->sniffed, $this->sniffedContentType),
+            'content_type' => $this->sniffedContentType,
+            'status' => $httpCode,
+            'effective_url' => $effectiveUrl,
+        ], $this->sniffed !== '' ? 200 : 502);
+    }
+    
+    /**
+     * Work out the stream type from its first bytes, then its Content-Type
+     */
+    private function detectType(string $bytes, string $contentType): string {
+        // Playlists can start with a BOM or whitespace
+        $text = ltrim($bytes, "\xEF\xBB\xBF \t\r\n");
+        
+        if (str_starts_with($text, '#EXTM3U')) {
+            return 'hls';
+        }
+        
+        // MPEG-TS packets are 188 bytes, each starting with the 0x47 sync byte,
+        // it takes two of them in a row to tell it from a short body that starts with a G
+        if (strlen($bytes) > 188 && $bytes[0] === "\x47" && $bytes[188] === "\x47") {
+            return 'mpegts';
+        }
+        
+        // MP4 starts with a box size then 'ftyp', WebM/MKV with the EBML magic
+        if (substr($bytes, 4, 4) === 'ftyp' || str_starts_with($bytes, "\x1A\x45\xDF\xA3")) {
+            return 'video';
+        }
+        
+        if (stripos($text, '<MPD') !== false) {
+            return 'dash';
+        }
+        
+        // Fall back on what the origin says it is
+        $contentType = strtolower($contentType);
+        
+        return match (true) {
+            str_contains($contentType, 'mpegurl') => 'hls',
+            str_contains($contentType, 'mp2t') => 'mpegts',
+            str_contains($contentType, 'dash+xml') => 'dash',
+            (bool) preg_match('#^video/(mp4|webm|ogg|quicktime)#', $contentType) => 'video',
+            default => 'unknown',
+        };
+    }
+    
+    /**
+     * Keep the Content-Type of the (final) sniff response
+     */
+    private function captureSniffHeader($ch, string $header): int {
+        if (stripos($header, 'content-type:') === 0) {
+            $this->sniffedContentType = trim(substr($header, 13));
+        }
+        
+        return strlen($header);
+    }
+    
+    /**
+     * Keep the first bytes of the sniff response, then stop the transfer
+     */
+    private function captureSniffBody($ch, string $data): int {
+        $this->sniffed .= $data;
+        
+        if (strlen($this->sniffed) >= SNIFF_BYTES) {
+            $this->sniffed = substr($this->sniffed, 0, SNIFF_BYTES);
+            return -1; // Abort cURL
+        }
+        
+        return strlen($data);
+    }
+    
     /**
      * Stream content directly without buffering
      */
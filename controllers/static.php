@@ -1277,6 +1277,60 @@ if( ! class_exists( 'KStatic' ) ) {
 
         }
 
+        /** 
+         * send_json
+         * 
+         * Static method for sending a JSON response and ending the request
+         * 
+         * @since 8.4
+         * @access public
+         * @static
+         * @author Kevin Pirnie <me@kpirnie.com>
+         * @package KP Library
+         * 
+         * @param array $data The data to encode
+         * @param int $code The HTTP status code to send
+         * 
+         * @return void Returns nothing
+         * 
+        **/
+        public static function send_json( array $data, int $code = 200 ) : void {
+
+            // send the headers
+            header( 'Content-Type: application/json' );
+            header( 'Cache-Control: no-cache, must-revalidate' );
+            http_response_code( $code );
+
+            // write out the data and stop here
+            echo json_encode( $data, JSON_UNESCAPED_SLASHES );
+            exit;
+
+        }
+
+        /** 
+         * get_json_input
+         * 
+         * Static method for decoding the JSON body of the request
+         * 
+         * @since 8.4
+         * @access public
+         * @static
+         * @author Kevin Pirnie <me@kpirnie.com>
+         * @package KP Library
+         * 
+         * @return array Returns the decoded body, or an empty array
+         * 
+        **/
+        public static function get_json_input( ) : array {
+
+            // decode the raw body
+            $input = json_decode( file_get_contents( 'php://input' ) ?: '', true );
+
+            // return it if it was a JSON object or array
+            return is_array( $input ) ? $input : [];
+
+        }
+
         /**
          * Includes a view file with passed data
          * 
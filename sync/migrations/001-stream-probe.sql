@@ -0,0 +1,3 @@
+-- Last headless probe report for each stream (see MultiFormatPlayer.probe)
+ALTER TABLE `kptv_streams`
+    ADD COLUMN `s_probe` JSON NULL DEFAULT NULL;
@@ -0,0 +1,10 @@
+-- Per user preferences, values are JSON encoded (see KPTV_User_Settings::SETTINGS)
+CREATE TABLE IF NOT EXISTS `kptv_user_settings` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `us_key` VARCHAR(64) NOT NULL,
+    `us_value` TEXT NULL,
+    `us_updated` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `u_id_us_key` (`u_id`, `us_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
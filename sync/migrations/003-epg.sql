@@ -0,0 +1,34 @@
+-- XMLTV guide data per user (see KPTV_EPG), replaced on every import
+CREATE TABLE IF NOT EXISTS `kptv_epg_sources` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `es_url` VARCHAR(2048) NULL DEFAULT NULL,
+    `es_channels` INT UNSIGNED NOT NULL DEFAULT 0,
+    `es_programmes` INT UNSIGNED NOT NULL DEFAULT 0,
+    `es_imported` DATETIME NULL DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `u_id` (`u_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every channel in the guide, so streams can be flagged when their tvg-id is not in it
+CREATE TABLE IF NOT EXISTS `kptv_epg_channels` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `ec_channel` VARCHAR(255) NOT NULL,
+    `ec_name` VARCHAR(255) NOT NULL DEFAULT '',
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `u_id_ec_channel` (`u_id`, `ec_channel`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Programmes for the tvg-ids the user's streams use, times are unix timestamps
+CREATE TABLE IF NOT EXISTS `kptv_epg_programmes` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `ep_channel` VARCHAR(255) NOT NULL,
+    `ep_start` INT UNSIGNED NOT NULL,
+    `ep_stop` INT UNSIGNED NOT NULL,
+    `ep_title` VARCHAR(255) NOT NULL DEFAULT '',
+    `ep_desc` TEXT NULL,
+    PRIMARY KEY (`id`),
+    KEY `u_id_ep_channel_ep_stop` (`u_id`, `ep_channel`, `ep_stop`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
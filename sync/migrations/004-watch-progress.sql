@@ -0,0 +1,12 @@
+-- Where each user left off in their series and VOD streams (see KPTV_Stream_Player::saveProgress)
+CREATE TABLE IF NOT EXISTS `kptv_watch_progress` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `s_id` INT UNSIGNED NOT NULL,
+    `wp_position` INT UNSIGNED NOT NULL DEFAULT 0,
+    `wp_duration` INT UNSIGNED NOT NULL DEFAULT 0,
+    `wp_updated` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `u_id_s_id` (`u_id`, `s_id`),
+    KEY `u_id_wp_updated` (`u_id`, `wp_updated`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
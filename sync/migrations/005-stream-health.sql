@@ -0,0 +1,11 @@
+-- Playback health reported by the web player (see KPTV_Stream_Player::reportPlayback)
+ALTER TABLE `kptv_streams`
+    ADD COLUMN `s_health_ok` INT UNSIGNED NOT NULL DEFAULT 0,
+    ADD COLUMN `s_health_fail` INT UNSIGNED NOT NULL DEFAULT 0,
+    ADD COLUMN `s_health_streak` INT UNSIGNED NOT NULL DEFAULT 0,
+    ADD COLUMN `s_health_reason` VARCHAR(255) NULL DEFAULT NULL,
+    ADD COLUMN `s_health_at` DATETIME NULL DEFAULT NULL;
+
+-- Why a stream is on the missing list, NULL is MissingChecker's "not at the provider"
+ALTER TABLE `kptv_stream_missing`
+    ADD COLUMN `reason` VARCHAR(255) NULL DEFAULT NULL;
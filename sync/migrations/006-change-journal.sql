@@ -0,0 +1,14 @@
+-- Before and after values of each user's stream edits, for undo and redo (see KPTV_Change_Journal)
+CREATE TABLE IF NOT EXISTS `kptv_change_journal` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `u_id` INT UNSIGNED NOT NULL,
+    `cj_table` VARCHAR(64) NOT NULL,
+    `cj_summary` VARCHAR(255) NOT NULL,
+    `cj_rows` INT UNSIGNED NOT NULL DEFAULT 0,
+    `cj_before` LONGTEXT NOT NULL,
+    `cj_after` LONGTEXT NOT NULL,
+    `cj_undone_at` DATETIME NULL DEFAULT NULL,
+    `cj_created` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`id`),
+    KEY `u_id_id` (`u_id`, `id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
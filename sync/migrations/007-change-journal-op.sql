@@ -0,0 +1,4 @@
+-- Lets the batches of one bulk operation share a single undo entry (see KPTV_Change_Journal::record)
+ALTER TABLE `kptv_change_journal`
+    ADD COLUMN `cj_op` VARCHAR(64) NULL DEFAULT NULL,
+    ADD KEY `u_id_op` (`u_id`, `cj_op`);
@@ -0,0 +1,42 @@
+<?php
+/**
+ * Continue Watching Component
+ * 
+ * @param array $items The partly watched streams, from KPTV_Stream_Player::getContinueWatching
+ */
+
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+// nothing to continue
+if( empty( $items ) ) return;
+
+?>
+<div class="uk-margin-bottom continue-watching">
+    <h4 class="me uk-heading-bullet uk-margin-small-bottom">Continue Watching</h4>
+    <div class="uk-grid-small uk-child-width-1-2 uk-child-width-1-4@s uk-child-width-1-6@m" uk-grid>
+        <?php foreach( $items as $item ) {
+            $name = $item -> s_name ?: $item -> s_orig_name;
+            $left = max( 0, ( int ) $item -> wp_duration - ( int ) $item -> wp_position );
+            ?>
+            <div>
+                <a href="#" class="uk-card uk-card-default uk-card-small uk-display-block uk-link-toggle play-stream"
+                    data-stream-id="<?php echo ( int ) $item -> id; ?>"
+                    data-stream-url="<?php echo htmlspecialchars( $item -> s_stream_uri ); ?>"
+                    data-stream-name="<?php echo htmlspecialchars( $item -> s_orig_name ); ?>"
+                    data-stream-channel="<?php echo htmlspecialchars( ( string ) $item -> s_channel ); ?>"
+                    data-stream-provider="<?php echo ( int ) $item -> p_id; ?>"
+                    data-stream-type="<?php echo ( int ) $item -> s_type_id; ?>"
+                    title="<?php echo htmlspecialchars( $name ); ?>">
+                    <div class="uk-card-body uk-padding-small">
+                        <?php if( ! empty( $item -> s_tvg_logo ) ) { ?>
+                            <img src="<?php echo htmlspecialchars( $item -> s_tvg_logo ); ?>" alt="" class="continue-watching-logo" loading="lazy" />
+                        <?php } ?>
+                        <div class="uk-text-small uk-text-truncate"><?php echo htmlspecialchars( $name ); ?></div>
+                        <progress class="uk-progress uk-margin-remove" value="<?php echo ( int ) $item -> wp_position; ?>" max="<?php echo max( 1, ( int ) $item -> wp_duration ); ?>"></progress>
+                        <div class="uk-text-meta"><?php echo ceil( $left / 60 ); ?> min left</div>
+                    </div>
+                </a>
+            </div>
+        <?php } ?>
+    </div>
+</div>
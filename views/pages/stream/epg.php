@@ -0,0 +1,64 @@
+<?php
+/**
+ * stream/epg.php
+ * 
+ * No direct access allowed!
+ * 
+ * @since 8.4
+ * @author Kevin Pirnie <me@kpirnie.com>
+ * @package KP Library
+ * 
+ */
+
+// define the primary app path if not already defined
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+
+// pull in the header
+KPT::pull_header( );
+
+// get the last import
+$source = ( new KPTV_EPG( ) ) -> getSource( ( int ) KPT_User::get_current_user( ) -> id );
+
+?>
+<h2 class="me">Your Guide (EPG)</h2>
+<?php if( $source ) { ?>
+    <div class="uk-alert-primary" uk-alert>
+        <p>
+            Last imported <?php echo htmlspecialchars( $source -> es_imported ); ?>: 
+            <?php echo ( int ) $source -> es_channels; ?> channels, <?php echo ( int ) $source -> es_programmes; ?> programmes for your streams.
+        </p>
+    </div>
+<?php } ?>
+<form action="/epg" method="POST" enctype="multipart/form-data" class="uk-form-stacked">
+    <h4 class="me uk-heading-bullet">Import an XMLTV Guide</h4>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmEpgUrl">Guide URL</label>
+        <div class="uk-inline uk-width-1-1">
+            <span class="uk-form-icon" uk-icon="icon: link"></span>
+            <input class="uk-input" id="frmEpgUrl" type="url" placeholder="https://example.com/guide.xml.gz" name="epg_url" value="<?php echo htmlspecialchars( ( $source -> es_url ?? '' ) ?: '' ); ?>" />
+        </div>
+    </div>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmEpgFile">Or a Guide File</label>
+        <div uk-form-custom="target: true" class="uk-width-1-1">
+            <input type="file" id="frmEpgFile" name="epg_file" accept=".xml,.gz,.xmltv" />
+            <input class="uk-input" type="text" placeholder="Select an .xml or .xml.gz file" disabled />
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            Importing replaces your current guide. Programmes are matched to your streams by their TVG ID, so import again after changing TVG IDs.
+        </p>
+    </div>
+    <div class="uk-margin">
+        <div class="uk-width-1-1">
+            <button class="uk-button uk-button-primary uk-border-rounded contact-button uk-align-right" type="submit">
+                Import the Guide <i uk-icon="icon: cloud-upload"></i>
+            </button>
+        </div>
+    </div>
+</form>
+<?php
+
+// pull in the footer
+KPT::pull_footer( );
@@ -48,6 +48,7 @@ $dt -> table( 'kptv_stream_missing m' )
         'COALESCE(s.s_stream_uri, "N/A") AS TheStream' => "Stream",
         'COALESCE(s.s_orig_name, "N/A") AS TheOrigName' => 'Original Name',
         'p.sp_name' => 'Provider',
+        'COALESCE(m.reason, "Not at the provider") AS Reason' => 'Reason',
     ] )
     -> columnClasses( [
         'm.id' => 'hide-col',
@@ -55,8 +56,9 @@ $dt -> table( 'kptv_stream_missing m' )
         'TheStream' => 'txt-truncate',
         'TheOrigName' => 'txt-truncate',
         'p.sp_name' => 'txt-truncate',
+        'Reason' => 'txt-truncate',
     ] )
-    -> sortable( ['TheOrigName', 'p.sp_name'] )
+    -> sortable( ['TheOrigName', 'p.sp_name', 'Reason'] )
     -> defaultSort( 'TheOrigName', 'ASC' )
     -> perPage( 25 )
     -> pageSizeOptions( [25, 50, 100, 250], true )
@@ -191,7 +193,7 @@ KPT::pull_header( );
 ?>
 <div class="uk-container uk-container-full">
     <h2 class="me uk-heading-divider uk-margin-remove-bottom">Missing Streams</h2>
-    <p class="uk-text-meta uk-margin-remove-top">These streams exist in your database, but not at any of your providers.</p>
+    <p class="uk-text-meta uk-margin-remove-top">These streams exist in your database, but not at any of your providers, or were deactivated after failing to play too many times in a row.</p>
     <div class="uk-border-bottom">
         <?php
 
@@ -760,6 +760,29 @@ $bulkActions = [
     ],
 ];
 
+// the bulk actions the player script handles in the browser
+$playerBulkActions = [
+    'probe' => [
+        'html' => '<a href="#" class="uk-icon-link probe-selected" uk-icon="pulse" uk-tooltip="Probe Selected Streams"></a>',
+    ],
+    'snapshot' => [
+        'html' => '<a href="#" class="uk-icon-link snapshot-selected" uk-icon="image" uk-tooltip="Snapshot Logos for the Selected Streams Without One"></a>',
+    ],
+    'multiview' => [
+        'html' => '<a href="#" class="uk-icon-link multiview-selected" uk-icon="grid" uk-tooltip="Watch Selected in a Grid (2 to 4)"></a>',
+    ],
+];
+
+// the bulk actions the page script handles in the browser
+$pageBulkActions = [
+    'rename' => [
+        'html' => '<a href="#rename_modal" class="uk-icon-link" uk-icon="file-edit" uk-toggle uk-tooltip="Rename Selected or Matching Streams"></a>',
+    ],
+    'renumber' => [
+        'html' => '<a href="#renumber_modal" class="uk-icon-link" uk-icon="list" uk-toggle uk-tooltip="Renumber Selected Channels"></a>',
+    ],
+];
+
 // setup the form fields
 $formFields = [
     's.u_id' => [
@@ -877,20 +900,24 @@ $dt -> table( 'kptv_streams s' )
         's_name' => 'Name',
         's_orig_name' => 'Orig. Name',
         's_tvg_id' => 'TVG ID',
+        'IF(s.s_tvg_id <> "" AND EXISTS (SELECT 1 FROM kptv_epg_channels g WHERE g.u_id = s.u_id) AND NOT EXISTS (SELECT 1 FROM kptv_epg_channels e WHERE e.u_id = s.u_id AND e.ec_channel = s.s_tvg_id), "No Match", "") AS Guide' => 'Guide',
         'p.sp_name' => 'Provider',
+        'COALESCE(JSON_UNQUOTE(JSON_EXTRACT(s.s_probe, "$.summary")), "") AS Probe' => 'Probe',
+        'IF(s.s_health_ok + s.s_health_fail = 0, NULL, ROUND(100 * s.s_health_ok / (s.s_health_ok + s.s_health_fail))) AS Health' => 'Health %',
         's_tvg_logo' => [ 'label' => 'Logo', 'type' => 'image' ],
     ] )
     -> columnClasses( [
         's.id' => 'hide-col',
         's_tvg_id' => 'txt-truncate',
         'p.sp_name' => 'txt-truncate',
+        'Probe' => 'txt-truncate',
     ] )
-    -> sortable( ['s_name', 's_channel', 's_tvg_id', 'p.sp_name'] )
+    -> sortable( ['s_name', 's_channel', 's_tvg_id', 'Guide', 'p.sp_name', 'Probe', 'Health'] )
     -> defaultSort( 's_name', 'ASC' )
     -> inlineEditable( ['s_active', 's_channel', 's_name', 's_tvg_logo', 's_tvg_id', ] )
     -> perPage( 25 )
     -> pageSizeOptions( [25, 50, 100, 250], true )
-    -> bulkActions( true, $bulkActions[$type_filter] )
+    -> bulkActions( true, array_merge( $bulkActions[$type_filter], $playerBulkActions, $pageBulkActions ) )
     -> addForm( 'Add a Stream', $formFields, class: 'uk-grid-small uk-grid' )
     -> editForm( 'Update a Stream', $formFields, class: 'uk-grid-small uk-grid' )
     -> actionGroups( [
@@ -901,6 +928,21 @@ $dt -> table( 'kptv_streams s' )
                 'class' => 'play-stream',
                 'href' => '#{s_orig_name}',
                 'attributes' => [
+                    'data-stream-id' => '{id}',
+                    'data-stream-url' => '{s_stream_uri}',
+                    'data-stream-name' => '{s_orig_name}',
+                    'data-stream-channel' => '{s_channel}',
+                    'data-stream-provider' => '{p_id}',
+                    'data-stream-type' => '{s_type_id}',
+                ]
+            ],
+            'externalplayer' => [
+                'icon' => 'push',
+                'title' => 'Open in an External Player',
+                'class' => 'external-player',
+                'href' => '#{s_orig_name}',
+                'attributes' => [
+                    'data-stream-id' => '{id}',
                     'data-stream-url' => '{s_stream_uri}',
                     'data-stream-name' => '{s_orig_name}',
                 ]
@@ -918,6 +960,14 @@ $dt -> table( 'kptv_streams s' )
 
 // Handle AJAX requests (before any HTML output)
 if ( isset( $_POST['action'] ) || isset( $_GET['action'] ) ) {
+
+    // journal whatever this changes so it can be undone
+    ( new KPTV_Change_Journal( ) ) -> watch( ( int ) $userId );
+
+    // bulk actions the page script sends in batches, answered per id
+    if ( ( $_POST['action'] ?? '' ) === 'bulk_action' && ! empty( $_POST['per_id'] ) ) {
+        ( new KPTV_Stream_Bulk( ) ) -> run( $bulkActions[$type_filter], ( int ) $userId );
+    }
     $dt -> handleAjax( );
 }
 
@@ -925,7 +975,139 @@ if ( isset( $_POST['action'] ) || isset( $_GET['action'] ) ) {
 KPT::pull_header( );
 ?>
 <div class="uk-container uk-container-full">
-    <h2 class="me uk-heading-divider"><?php echo ucfirst( $type ); ?> <?php echo ucfirst( $which ); ?> Streams</h2>
+    <h2 class="me uk-heading-divider uk-flex uk-flex-between uk-flex-middle"><?php echo ucfirst( $type ); ?> <?php echo ucfirst( $which ); ?> Streams
+        <a href="#journal_drawer" class="uk-button uk-button-small uk-button-default" uk-toggle uk-tooltip="Undo (Ctrl+Z) / Redo (Ctrl+Shift+Z)"><span uk-icon="history"></span> Recent Changes</a>
+    </h2>
+    <div id="journal_drawer" uk-offcanvas="flip: true; overlay: true">
+        <div class="uk-offcanvas-bar">
+            <button class="uk-offcanvas-close" type="button" uk-close></button>
+            <h3>Recent Changes</h3>
+            <ul class="uk-list uk-list-divider journal-list"></ul>
+        </div>
+    </div>
+    <div id="rename_modal" class="uk-modal-container" uk-modal>
+        <div class="uk-modal-dialog">
+            <button class="uk-modal-close-default" type="button" uk-close></button>
+            <div class="uk-modal-header">
+                <h3 class="uk-modal-title">Rename Streams</h3>
+            </div>
+            <div class="uk-modal-body">
+                <form class="uk-grid-small rename-form" uk-grid>
+                    <div class="uk-width-1-2@s">
+                        <label class="uk-form-label">Streams</label>
+                        <select name="scope" class="uk-select">
+                            <option value="selected">The selected streams</option>
+                            <option value="search">Every stream matching the search</option>
+                        </select>
+                    </div>
+                    <div class="uk-width-1-2@s">
+                        <label class="uk-form-label">Start From</label>
+                        <select name="source" class="uk-select">
+                            <option value="s_name">The current name</option>
+                            <option value="s_orig_name">The original name</option>
+                        </select>
+                    </div>
+                    <div class="uk-width-1-2@s">
+                        <label class="uk-form-label">Find</label>
+                        <input type="text" name="find" class="uk-input" placeholder="^(\d+)\s*-\s*(.*)$" />
+                    </div>
+                    <div class="uk-width-1-2@s">
+                        <label class="uk-form-label">Replace With</label>
+                        <input type="text" name="replace" class="uk-input" placeholder="$2 $1" />
+                    </div>
+                    <div class="uk-width-1-1">
+                        <label><input type="checkbox" name="regex" class="uk-checkbox" /> Regular expression</label>
+                        <label class="uk-margin-left"><input type="checkbox" name="ignore_case" class="uk-checkbox" /> Ignore case</label>
+                        <label class="uk-margin-left"><input type="checkbox" name="strip_tags" class="uk-checkbox" /> Strip provider tags like <code>US:</code> or <code>|HD|</code></label>
+                    </div>
+                    <div class="uk-width-1-4@s">
+                        <label class="uk-form-label">Strip Prefix</label>
+                        <input type="text" name="strip_prefix" class="uk-input" />
+                    </div>
+                    <div class="uk-width-1-4@s">
+                        <label class="uk-form-label">Add Prefix</label>
+                        <input type="text" name="add_prefix" class="uk-input" />
+                    </div>
+                    <div class="uk-width-1-4@s">
+                        <label class="uk-form-label">Strip Suffix</label>
+                        <input type="text" name="strip_suffix" class="uk-input" />
+                    </div>
+                    <div class="uk-width-1-4@s">
+                        <label class="uk-form-label">Add Suffix</label>
+                        <input type="text" name="add_suffix" class="uk-input" />
+                    </div>
+                    <div class="uk-width-1-2@s">
+                        <label class="uk-form-label">Case</label>
+                        <select name="case" class="uk-select">
+                            <option value="">Leave as is</option>
+                            <option value="title">Title Case</option>
+                            <option value="upper">UPPER CASE</option>
+                            <option value="lower">lower case</option>
+                        </select>
+                    </div>
+                </form>
+                <p class="uk-text-meta rename-status"></p>
+                <div class="uk-overflow-auto rename-preview-wrap">
+                    <table class="uk-table uk-table-divider uk-table-small uk-table-justify rename-preview">
+                        <thead>
+                            <tr><th>Current Name</th><th>New Name</th></tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="uk-modal-footer uk-text-right">
+                <button class="uk-button uk-button-default uk-modal-close" type="button">Cancel</button>
+                <button class="uk-button uk-button-primary rename-apply" type="button" disabled>Rename</button>
+            </div>
+        </div>
+    </div>
+    <div id="renumber_modal" class="uk-modal-container" uk-modal>
+        <div class="uk-modal-dialog">
+            <button class="uk-modal-close-default" type="button" uk-close></button>
+            <div class="uk-modal-header">
+                <h3 class="uk-modal-title">Renumber Channels</h3>
+            </div>
+            <div class="uk-modal-body">
+                <form class="uk-grid-small renumber-form" uk-grid>
+                    <div class="uk-width-1-3@s">
+                        <label class="uk-form-label">Start At</label>
+                        <input type="number" name="start" class="uk-input" min="0" max="99999" value="1" />
+                    </div>
+                    <div class="uk-width-1-3@s">
+                        <label class="uk-form-label">Step</label>
+                        <input type="number" name="step" class="uk-input" min="1" max="1000" value="1" />
+                    </div>
+                    <div class="uk-width-1-3@s">
+                        <label class="uk-form-label">Order</label>
+                        <select name="order" class="uk-select">
+                            <option value="selected">As they were selected</option>
+                            <option value="name">By name</option>
+                            <option value="channel">By current channel</option>
+                        </select>
+                    </div>
+                </form>
+                <p class="uk-text-meta renumber-status"></p>
+                <div class="uk-overflow-auto renumber-preview-wrap">
+                    <table class="uk-table uk-table-divider uk-table-small uk-table-justify renumber-preview">
+                        <thead>
+                            <tr><th>Name</th><th>Current</th><th>New</th><th>Already Used By</th></tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="uk-modal-footer uk-text-right">
+                <button class="uk-button uk-button-default uk-modal-close" type="button">Cancel</button>
+                <button class="uk-button uk-button-primary renumber-apply" type="button" disabled>Renumber</button>
+            </div>
+        </div>
+    </div>
+    <?php
+
+    // partly watched series and vod
+    KPT::include_view( 'common/continue-watching', [ 'items' => ( new KPTV_Stream_Player( ) ) -> getContinueWatching( ( int ) $userId, ( int ) $type_value ) ] );
+    ?>
     <div class="">
         <?php
 
@@ -933,6 +1115,10 @@ KPT::pull_header( );
         KPT::include_view( 'common/control-panel', [ 'dt' => $dt ] );
         ?>
     </div>
+    <div class="bulk-progress uk-margin-small" hidden>
+        <progress class="uk-progress uk-margin-remove-bottom" value="0" max="100"></progress>
+        <span class="uk-text-meta bulk-progress-text"></span>
+    </div>
     <div class="">
         <?php
 
@@ -954,4 +1140,4 @@ KPT::pull_header( );
 KPT::pull_footer( );
 
 // clean up
-unset( $dt, $formFields, $actionGroups, $bulkActions, $dbconf );
\ No newline at end of file
+unset( $dt, $formFields, $actionGroups, $bulkActions, $playerBulkActions, $pageBulkActions, $dbconf );
\ No newline at end of file
@@ -0,0 +1,94 @@
+<?php
+/**
+ * user/settings.php
+ * 
+ * No direct access allowed!
+ * 
+ * @since 8.4
+ * @author Kevin Pirnie <me@kpirnie.com>
+ * @package KP Library
+ * 
+ */
+
+// define the primary app path if not already defined
+defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
+
+use KPT\KPT;
+
+// pull in the header
+KPT::pull_header( );
+
+// get the current settings
+$settings = KPTV_User_Settings::current( );
+
+?>
+<h2 class="me">Your Settings</h2>
+<form action="/users/settings" method="POST" class="uk-form-stacked">
+    <h4 class="me uk-heading-bullet">Player</h4>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmEngineOrder">Preferred Engine Order</label>
+        <div class="uk-inline uk-width-1-1">
+            <span class="uk-form-icon" uk-icon="icon: play-circle"></span>
+            <input class="uk-input" id="frmEngineOrder" type="text" placeholder="hls, mpegts, videojs" name="settings[engine_order]" value="<?php echo htmlspecialchars( implode( ', ', $settings['engine_order'] ) ); ?>" />
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            Comma separated, tried first for every stream they can play. Leave it empty to use the default order.<br />
+            Built in engines: <code>hls</code>, <code>mpegts</code>, <code>hls-from-ts</code>, <code>videojs</code>, <code>native</code>
+        </p>
+    </div>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmProxyMode">Connection</label>
+        <div class="uk-width-1-1">
+            <select class="uk-select" id="frmProxyMode" name="settings[proxy_mode]">
+                <?php foreach ( [ 'auto' => 'Automatic: direct first, the proxy when that fails', 'proxy' => 'Always through the proxy', 'direct' => 'Always direct' ] as $mode => $label ) { ?>
+                    <option value="<?php echo $mode; ?>"<?php echo $settings['proxy_mode'] === $mode ? ' selected' : ''; ?>><?php echo $label; ?></option>
+                <?php } ?>
+            </select>
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            Automatic plays streams straight from the provider when their server allows it, and falls back to our proxy on CORS, mixed content or network errors. The mode that worked is remembered for each host in this browser.
+        </p>
+    </div>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmMaxBitrate">Bandwidth Cap (kbps)</label>
+        <div class="uk-inline uk-width-1-1">
+            <span class="uk-form-icon" uk-icon="icon: bolt"></span>
+            <input class="uk-input" id="frmMaxBitrate" type="number" min="0" max="1000000" step="100" name="settings[max_bitrate]" value="<?php echo ( int ) $settings['max_bitrate']; ?>" />
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            Automatic quality will not pick an HLS rendition above this. Use <code>0</code> for no cap.
+        </p>
+    </div>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmTimeshift">Timeshift (minutes)</label>
+        <div class="uk-inline uk-width-1-1">
+            <span class="uk-form-icon" uk-icon="icon: history"></span>
+            <input class="uk-input" id="frmTimeshift" type="number" min="0" max="60" step="1" name="settings[timeshift_minutes]" value="<?php echo ( int ) $settings['timeshift_minutes']; ?>" />
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            How far back you can pause and seek on live HLS and MPEG-TS streams, up to 60. Longer buffers use more memory. Use <code>0</code> to always play live.
+        </p>
+    </div>
+    <h4 class="me uk-heading-bullet">Stream Health</h4>
+    <div class="uk-margin">
+        <label class="uk-form-label" for="frmAutoDeactivate">Deactivate After Failed Plays</label>
+        <div class="uk-inline uk-width-1-1">
+            <span class="uk-form-icon" uk-icon="icon: ban"></span>
+            <input class="uk-input" id="frmAutoDeactivate" type="number" min="0" max="100" step="1" name="settings[auto_deactivate_after]" value="<?php echo ( int ) $settings['auto_deactivate_after']; ?>" />
+        </div>
+        <p class="uk-text-meta uk-margin-small-top">
+            A stream that fails to play this many times in a row is made inactive and listed on the Missing Streams page. Use <code>0</code> to never deactivate streams.
+        </p>
+    </div>
+    <div class="uk-margin">
+        <div class="uk-width-1-1">
+            <button class="uk-button uk-button-primary uk-border-rounded contact-button uk-align-right" type="submit">
+                Save Your Settings <i uk-icon="icon: cog"></i>
+            </button>
+        </div>
+    </div>
+</form>
+<?php
+
+// pull in the footer
+KPT::pull_footer( );
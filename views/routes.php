@@ -136,6 +136,14 @@ $get_user_routes = [
         'handler' => 'view:pages/users/changepass.php'
     ],
     
+    // User settings page
+    [
+        'method' => 'GET',
+        'path' => '/users/settings',
+        'middleware' => ['auth_required'],
+        'handler' => 'view:pages/users/settings.php'
+    ],
+    
     // Account validation (using controller)
     [
         'method' => 'GET',
@@ -162,6 +170,38 @@ $get_stream_routes = [
         'handler' => 'view:pages/stream/filters.php'
     ],
     
+    // guide (epg) management
+    [
+        'method' => 'GET',
+        'path' => '/epg',
+        'middleware' => ['auth_required'],
+        'handler' => 'view:pages/stream/epg.php'
+    ],
+    
+    // where the user left off in a stream
+    [
+        'method' => 'GET',
+        'path' => '/player/progress',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@getProgress'
+    ],
+    
+    // now and next for the player
+    [
+        'method' => 'GET',
+        'path' => '/player/epg',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_EPG@nowNext'
+    ],
+    
+    // the user's recent changes
+    [
+        'method' => 'GET',
+        'path' => '/journal',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Change_Journal@recent'
+    ],
+    
     // missing streams
     [
         'method' => 'GET',
@@ -305,6 +345,14 @@ $post_user_routes = [
         'handler' => 'KPT_User@change_pass' // Class@Method
     ],
     
+    // User settings form submission (using controller)
+    [
+        'method' => 'POST',
+        'path' => '/users/settings',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_User_Settings@saveSettings' // Class@Method
+    ],
+    
     // Forgot password form submission (using controller)
     [
         'method' => 'POST',
@@ -358,6 +406,118 @@ $post_stream_routes = [
         'middleware' => ['auth_required'],
         'handler' => 'view:pages/stream/missing.php'
     ],
+
+    // guide (epg) import
+    [
+        'method' => 'POST',
+        'path' => '/epg',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_EPG@importGuide'
+    ],
+
+    // stream player probe reports
+    [
+        'method' => 'POST',
+        'path' => '/player/probe',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@saveProbe'
+    ],
+
+    // stream player snapshot logos
+    [
+        'method' => 'POST',
+        'path' => '/player/snapshot',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@saveSnapshot'
+    ],
+
+    // stream player health reports
+    [
+        'method' => 'POST',
+        'path' => '/player/report',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@reportPlayback'
+    ],
+
+    // stream player watch positions
+    [
+        'method' => 'POST',
+        'path' => '/player/progress',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@saveProgress'
+    ],
+
+    // stream player multi-view grid
+    [
+        'method' => 'POST',
+        'path' => '/player/multiview',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@multiView'
+    ],
+
+    // stream player recording, can it open its own connection
+    [
+        'method' => 'POST',
+        'path' => '/player/record',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Player@recordConnection'
+    ],
+
+    // undo a change
+    [
+        'method' => 'POST',
+        'path' => '/journal/undo',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Change_Journal@undo'
+    ],
+
+    // redo an undone change
+    [
+        'method' => 'POST',
+        'path' => '/journal/redo',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Change_Journal@redo'
+    ],
+
+    // preview a bulk stream rename
+    [
+        'method' => 'POST',
+        'path' => '/rename/preview',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Rename@preview'
+    ],
+
+    // bulk rename streams
+    [
+        'method' => 'POST',
+        'path' => '/rename',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Rename@apply'
+    ],
+
+    // save rows dragged into a new order
+    [
+        'method' => 'POST',
+        'path' => '/reorder',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Order@reorder'
+    ],
+
+    // preview a channel renumber
+    [
+        'method' => 'POST',
+        'path' => '/renumber/preview',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Order@renumberPreview'
+    ],
+
+    // renumber stream channels
+    [
+        'method' => 'POST',
+        'path' => '/renumber',
+        'middleware' => ['auth_required'],
+        'handler' => 'KPTV_Stream_Order@renumber'
+    ],
 ];
 
 // Admin-related POST routes
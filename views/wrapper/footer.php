@@ -56,21 +56,83 @@ defined( 'KPT_PATH' ) || die( 'Direct Access is not allowed!' );
         <div id="vid_modal" class="uk-flex-top vid-modal" uk-modal>
             <div class="uk-modal-dialog uk-modal-body uk-margin-auto-vertical uk-width-auto">
                 <button class="uk-modal-close-outside vid-closer" type="button" uk-close></button>
-                <video id="the_streamer" class="video-js vjs-default-skin uk-border-rounded" controls preload="auto" width="800" height="450" data-setup="{}">
-                    <p class="vjs-no-js">
-                        To view this video please enable JavaScript, and consider upgrading to a web browser that
-                        <a href="https://videojs.com/html5-video-support/" target="_blank">supports HTML5 video</a>.
-                    </p>
-                </video>
+                <div class="vid-stage">
+                    <video id="the_streamer" class="video-js vjs-default-skin uk-border-rounded" controls preload="auto" width="800" height="450" data-setup="{}">
+                        <p class="vjs-no-js">
+                            To view this video please enable JavaScript, and consider upgrading to a web browser that
+                            <a href="https://videojs.com/html5-video-support/" target="_blank">supports HTML5 video</a>.
+                        </p>
+                    </video>
+                    <div class="vid-osd" hidden></div>
+                    <div class="vid-epg" hidden></div>
+                    <div class="vid-resume" hidden>
+                        <p class="uk-margin-small-bottom vid-resume-text"></p>
+                        <button type="button" class="uk-button uk-button-small uk-button-primary vid-resume-yes">Resume</button>
+                        <button type="button" class="uk-button uk-button-small uk-button-default vid-resume-no">Start Over</button>
+                    </div>
+                    <div class="vid-stats" hidden>
+                        <table class="uk-table uk-table-small uk-table-justify uk-margin-small-bottom vid-stats-list"></table>
+                        <button type="button" class="uk-button uk-button-small uk-button-default vid-stats-copy">Copy Diagnostics</button>
+                    </div>
+                </div>
+                <div class="vid-toolbar uk-flex uk-flex-middle uk-margin-small-top">
+                    <a href="#" class="uk-icon-link vid-prev" uk-icon="chevron-left" uk-tooltip="Previous Channel (Up Arrow)"></a>
+                    <span class="vid-title uk-text-truncate uk-flex-1 uk-text-center"></span>
+                    <a href="#" class="uk-icon-link vid-next" uk-icon="chevron-right" uk-tooltip="Next Channel (Down Arrow)"></a>
+                    <a href="#" class="uk-label uk-label-danger vid-live" hidden uk-tooltip="Jump to Live (L)">Live</a>
+                    <span class="uk-text-small uk-text-muted vid-quality-current"></span>
+                    <a href="#" class="uk-icon-link vid-quality-toggle" uk-icon="settings" uk-tooltip="Quality"></a>
+                    <div class="vid-quality-menu" uk-dropdown="mode: click; pos: top-right">
+                        <ul class="uk-nav uk-dropdown-nav vid-quality-list"></ul>
+                    </div>
+                    <a href="#" class="uk-icon-link vid-tracks-toggle" uk-icon="commenting" uk-tooltip="Audio &amp; Subtitles"></a>
+                    <div class="vid-tracks-menu" uk-dropdown="mode: click; pos: top-right">
+                        <ul class="uk-nav uk-dropdown-nav vid-tracks-list"></ul>
+                    </div>
+                    <a href="#" class="uk-label uk-label-danger vid-rec-status" hidden uk-tooltip="Stop and Save the Recording"></a>
+                    <a href="#" class="uk-icon-link vid-record-toggle" uk-icon="video-camera" uk-tooltip="Record"></a>
+                    <div class="vid-record-menu" uk-dropdown="mode: click; pos: top-right">
+                        <ul class="uk-nav uk-dropdown-nav vid-record-list"></ul>
+                    </div>
+                    <a href="#" class="uk-icon-link vid-snapshot" uk-icon="camera" uk-tooltip="Snapshot as Logo"></a>
+                    <a href="#" class="uk-icon-link vid-pip" uk-icon="tv" uk-tooltip="Picture-in-Picture (P)"></a>
+                    <a href="#" class="uk-icon-link vid-dock-toggle" uk-icon="shrink" uk-tooltip="Dock the Player (D)"></a>
+                    <a href="#" class="uk-icon-link vid-stats-toggle" uk-icon="info" uk-tooltip="Playback Diagnostics (I)"></a>
+                </div>
+            </div>
+        </div>
+
+        <div id="vid_dock" class="vid-dock" hidden>
+            <div class="vid-dock-bar uk-flex uk-flex-middle">
+                <span class="vid-title uk-text-truncate uk-flex-1"></span>
+                <a href="#" class="uk-icon-link vid-pip" uk-icon="tv" uk-tooltip="Picture-in-Picture"></a>
+                <a href="#" class="uk-icon-link vid-undock" uk-icon="expand" uk-tooltip="Back to the Full Player"></a>
+                <a href="#" class="uk-icon-link vid-dock-close" uk-icon="close" uk-tooltip="Stop"></a>
+            </div>
+        </div>
+
+        <div id="vid_grid_modal" class="uk-modal-full vid-grid-modal" uk-modal>
+            <div class="uk-modal-dialog">
+                <button class="uk-modal-close-full uk-close-large vid-closer" type="button" uk-close></button>
+                <div class="vid-toolbar uk-flex uk-flex-middle uk-padding-small">
+                    <a href="#" class="uk-icon-link vid-grid-layout" data-layout="quad" uk-icon="grid" uk-tooltip="2 x 2"></a>
+                    <a href="#" class="uk-icon-link vid-grid-layout" data-layout="main" uk-icon="thumbnails" uk-tooltip="1 + 3"></a>
+                    <span class="uk-text-small uk-text-muted uk-flex-1 uk-text-center">Click a tile to hear it, double click or use its expand icon for full size</span>
+                </div>
+                <div class="vid-grid" data-layout="quad"></div>
             </div>
         </div>
         
         <script type="text/javascript" src="//vjs.zencdn.net/8.6.1/video.min.js"></script>
         <script type="text/javascript" src="//cdn.jsdelivr.net/npm/hls.js@latest"></script>
         <script type="text/javascript" src="//cdn.jsdelivr.net/npm/mpegts.js@latest"></script>
+        <script type="text/javascript" src="//cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js"></script>
         <script type="text/javascript" src="//cdn.jsdelivr.net/npm/uikit@latest/dist/js/uikit.min.js"></script>
         <script type="text/javascript" src="//cdn.jsdelivr.net/npm/uikit@latest/dist/js/uikit-icons.min.js"></script>
         <?php echo DataTables::getJsIncludes(); ?>
+        <?php if( KPT_User::is_user_logged_in( ) ) { ?>
+            <script type="text/javascript">window.KPTV_SETTINGS = <?php echo json_encode( KPTV_User_Settings::current( ), JSON_HEX_TAG | JSON_HEX_AMP ); ?>;</script>
+        <?php } ?>
         <script type="text/javascript" src="/assets/js/video.js?_=<?php echo time( ); ?>"></script>
         <script type="text/javascript" src="/assets/js/custom.js?_=<?php echo time( ); ?>"></script>
     </body>
@@ -55,6 +55,7 @@ $user_role = ( KPT_User::get_current_user( ) -> role ) ?? 0;
                                 <ul role="menu" class="uk-nav uk-navbar-dropdown-nav">
                                     <li><a href="/providers"><i uk-icon="icon: server"></i> Your Providers</a></li>
                                     <li><a href="/filters"><i uk-icon="icon: settings"></i> Your Filters</a></li>
+                                    <li><a href="/epg"><i uk-icon="icon: calendar"></i> Your Guide (EPG)</a></li>
                                     <li class="uk-nav-divider"></li>
                                     <li>
                                         <a href="/stream/live/all"><i uk-icon="icon: tv"></i> Live Streams</a>
@@ -105,6 +106,7 @@ $user_role = ( KPT_User::get_current_user( ) -> role ) ?? 0;
                             if( KPT_User::is_user_logged_in( ) ) {
                             ?>
                                 <li><a href="/users/changepass">Change Your Password</a></li>
+                                <li><a href="/users/settings">Your Settings</a></li>
                                 <li class="uk-nav-divider"></li>
                                 <li><a href="/users/logout">Logout of Your Account</a></li>
                             <?php
@@ -171,6 +173,7 @@ $user_role = ( KPT_User::get_current_user( ) -> role ) ?? 0;
                                         <ul role="menu" class="uk-nav uk-padding-small uk-padding-remove-vertical uk-padding-remove-right">
                                             <li><a href="/providers"><i uk-icon="icon: server"></i> Your Providers</a></li>
                                             <li><a href="/filters"><i uk-icon="icon: settings"></i> Your Filters</a></li>
+                                            <li><a href="/epg"><i uk-icon="icon: calendar"></i> Your Guide (EPG)</a></li>
                                             <li class="uk-nav-divider"></li>
                                             <li>
                                                 <a href="/streams/live/all"><i uk-icon="icon: tv"></i> Live Streams</a>
@@ -218,6 +221,7 @@ $user_role = ( KPT_User::get_current_user( ) -> role ) ?? 0;
                                     if( KPT_User::is_user_logged_in( ) ) {
                                     ?>
                                         <li><a href="/users/changepass">Change Your Password</a></li>
+                                        <li><a href="/users/settings">Your Settings</a></li>
                                         <li class="uk-nav-divider"></li>
                                         <li><a href="/users/logout">Logout of Your Account</a></li>
                                     <?php
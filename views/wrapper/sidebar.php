@@ -29,6 +29,7 @@ switch( $_route -> path ) {
     case '/users/register':
     case '/users/forgot':
     case '/users/changepass':
+    case '/users/settings':
     case '/admin/users':
         $title = "Account<br />Manager";
         $img = '/assets/images/security-inner.jpg';
@@ -72,6 +73,7 @@ $user_for_export = KPT::encrypt( ( KPT_User::get_current_user( ) -> id ) ?? 0 );
                     <h4 class="me uk-heading-bullet uk-margin-remove-top">Account Manager</h4>
                     <ul class="uk-list uk-padding-small uk-padding-remove-vertical">
                         <li><a href="/users/changepass"><i uk-icon="icon: cog"></i> Change Your Password</a></li>
+                        <li><a href="/users/settings"><i uk-icon="icon: settings"></i> Your Settings</a></li>
                         <li><a href="/users/logout"><i uk-icon="icon: sign-out"></i> Logout of Your Account</a></li>
                         <?php if( KPT_User::get_current_user( ) -> role == 99 ) { ?>
                             <li class="uk-li-divider"></li>
@@ -82,6 +84,7 @@ $user_for_export = KPT::encrypt( ( KPT_User::get_current_user( ) -> id ) ?? 0 );
                     <ul class="uk-list uk-padding-small uk-padding-remove-vertical">
                         <li><a href="/providers"><i uk-icon="icon: server"></i> Your Providers</a></li>
                         <li><a href="/filters"><i uk-icon="icon: settings"></i> Your Filters</a></li>
+                        <li><a href="/epg"><i uk-icon="icon: calendar"></i> Your Guide (EPG)</a></li>
                         <li class="uk-li-divider"></li>    
                         <li>
                             <a href="/streams/live/all" class="" target=""><i uk-icon="icon: tv"></i> Live Streams</a>